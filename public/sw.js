@@ -0,0 +1,74 @@
+// public/sw.js — Rue Tracker service worker
+// 1) Offline: precaches the built app (the list is stamped in by vite.config.js) and serves
+//    it cache-first, so the app opens in the backyard with no signal.
+// 2) Updates: a new build means a new sw.js; it waits until the page asks it to take over.
+// 3) Reminders: the page decides which reminders are due and calls showNotification();
+//    this worker hands the Done / Snooze clicks back to it.
+
+const BUILD_ID = "__RUE_BUILD_ID__";
+const PRECACHE = [/* __RUE_PRECACHE__ */];
+const DEV = BUILD_ID.indexOf("__") === 0; // unstamped (vite dev server): no caching
+const CACHE = "rue-" + BUILD_ID;
+
+self.addEventListener("install", (event) => {
+  if (DEV) { self.skipWaiting(); return; }
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.indexOf("rue-") === 0 && k !== CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (DEV || req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return; // Supabase etc. go straight to the network
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    // every navigation is the single-page app shell, whatever the query (?quick=pee, reminders)
+    const key = req.mode === "navigate" ? "/" : url.pathname;
+    const hit = await cache.match(key);
+    if (hit) return hit;
+    try {
+      return await fetch(req);
+    } catch (err) {
+      const shell = req.mode === "navigate" ? await cache.match("/") : null;
+      if (shell) return shell;
+      throw err;
+    }
+  })());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  const notification = event.notification;
+  const action = event.action || "open"; // "done" | "snooze" | body tap
+  const reminder = notification.data || null;
+  notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (windows.length) {
+      const client = windows[0];
+      if (action !== "open") client.postMessage({ type: "rue-reminder-action", action, reminder });
+      if (action === "open" && "focus" in client) return client.focus();
+      return undefined;
+    }
+    // No open window: let the app apply the action when it loads
+    const url = new URL(self.registration.scope);
+    if (action !== "open" && reminder) {
+      url.searchParams.set("reminderAction", action);
+      url.searchParams.set("reminder", JSON.stringify(reminder));
+    }
+    return self.clients.openWindow(url.href);
+  })());
+});
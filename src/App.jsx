@@ -1,5 +1,6 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { createClient } from "@supabase/supabase-js";
+import SETUP_SQL from "../supabase/migrations/20261019000000_rue_tracker.sql?raw";
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Rue Tracker — Single‑file React Web App (PLAIN JS + SAFE STORAGE + OPTIONAL CLOUD SYNC)
@@ -9,12 +10,14 @@ import { createClient } from "@supabase/supabase-js";
 // ────────────────────────────────────────────────────────────────────────────────
 
 // Types (JS doc comments only)
-// Event types: 'pee' | 'poop' | 'sleep' | 'food' | 'water' | 'training' | 'pee_attempt'
+// Event types: 'pee' | 'poop' | 'sleep' | 'food' | 'snack' | 'water' | 'training' | 'pee_attempt'
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Utilities & Storage
 
 const LS_KEY = "rue-tracker-web-v1";
+const OUTBOX_KEY = LS_KEY + "-outbox"; // pending cloud writes, kept beside the main blob
+const REMINDERS_KEY = LS_KEY + "-reminders"; // this device's fired/snoozed reminders
 const hasWindow = () => typeof window !== "undefined";
 
 // localStorage safety helpers
@@ -42,34 +45,277 @@ function getStore() { return storageAvailable() ? window.localStorage : memorySt
 function uid(prefix = "id") { return prefix + "-" + Math.random().toString(36).slice(2, 9) + "-" + Date.now(); }
 function isFiniteTs(n) { return typeof n === "number" && isFinite(n); }
 
+// The first profile has a fixed id so two phones migrating the same household agree on it
+const DEFAULT_DOG_ID = "dog-default";
+function defaultDog() { return { id: DEFAULT_DOG_ID, name: "Rue", emoji: "🐶", birthdate: "", settings: {} }; }
+
 function defaultState() {
   return {
-    events: [], // { id, type, at, note? }
-    outAttempts: [], // { id, at, reason: 'meal'|'water'|'suggested'|'pee', sourceEventId?, done? }
-    trainingCommands: [
-      { id: uid("cmd"), name: "Sit",  totalSeconds: 0, learned: false, sessionHistory: [] },
-      { id: uid("cmd"), name: "Down", totalSeconds: 0, learned: false, sessionHistory: [] },
+    schemaVersion: SCHEMA_VERSION,
+    // Every record also carries updatedAt (last local edit, stamped by mutate) and syncedAt (first handed to the cloud),
+    // and dogId (the profile it belongs to — untagged records belong to the first dog)
+    dogs: [defaultDog()], // { id, name, emoji, photo?, birthdate: 'YYYY-MM-DD' | '', settings: { ...DOG_SETTING_KEYS } }
+    activeDogId: DEFAULT_DOG_ID, // per device, like settings
+    events: [], // { id, type, at, note?, details?, endAt? (sleep only — absent while still asleep), deletedAt? (only in trash) }
+    outAttempts: [], // { id, at, reason: 'meal'|'water'|'suggested'|'pee'|'wake'|'accident', ruleId?, sourceEventId?, done? }
+    trainingCommands: [ // array order is the display order, mirrored into orderIndex for the cloud
+      { id: uid("cmd"), dogId: DEFAULT_DOG_ID, name: "Sit",  totalSeconds: 0, learned: false, orderIndex: 0, sessionHistory: [] },
+      { id: uid("cmd"), dogId: DEFAULT_DOG_ID, name: "Down", totalSeconds: 0, learned: false, orderIndex: 1, sessionHistory: [] },
     ],
+    // Household-wide (reminders, cloud). The per-dog keys below are only the starting point for
+    // new profiles — each dog's own copy lives in dogs[].settings (see DOG_SETTING_KEYS).
     settings: {
-      waterToOutMinutes: 25,           // legacy knob (kept for completeness)
-      peeSuggestionMethod: "median",   // 'median' | 'mean'
+      peeSuggestionMethod: "median",   // 'median' | 'mean' (simple mode)
+      prediction: { mode: "model", windowDays: 7, halfLifeDays: 3 }, // mode: 'model' | 'simple'
       learnedThreshold: 0.75,          // successRate threshold
       learnedWindow: 3,                // rolling sessions window
-      mealSchedule: { times: ["06:00", "10:00", "14:00", "17:00", "20:00"] },
+      learnedBasis: "sessions",        // 'sessions' (avg of last learnedWindow sessions) | 'reps' (last learnedReps reps)
+      learnedReps: 20,
+      practice: { perDay: 3, minutes: 5, refresherMinutes: 2 }, // daily practice plan
+      // weekendTimes: [] = same as weekdays; a meal within toleranceMinutes of a slot fills it, later than lateAfterMinutes counts as late
+      mealSchedule: { times: ["06:00", "10:00", "14:00", "17:00", "20:00"], weekendTimes: [], toleranceMinutes: 90, lateAfterMinutes: 15 },
+      outAttemptRules: defaultOutAttemptRules(), // "after <trigger>, a <target> attempt in N min" — see Out-attempt rules
+      accidents: { rescheduleSooner: true, minutesToNextAttempt: 45 }, // pull the next out-attempt in after an accident
+      // Browser notifications for out-attempts and meals (per device, opt-in)
+      reminders: { enabled: false, attempts: true, meals: true, quietStart: "22:00", quietEnd: "06:00" },
       // Cloud Sync (Supabase) — leave empty to stay local-only
-      cloud: { enabled: false, url: "", anonKey: "", familyId: "" },
+      // userId/email are the signed-in Supabase Auth user; sync needs both them and a family membership
+      cloud: { enabled: false, url: "", anonKey: "", familyId: "", userId: "", email: "" },
+    },
+    members: [], // { userId, displayName, role } of the family, cached from the last sync for "logged by"
+    activeSession: null, // { id, commandId, startedAt, segments: [{ start, end? }], reps: [{ at, result }] } — see the training timer helpers
+    trash: { events: [], outAttempts: [] }, // deleted logs and attempts, each with deletedAt — see Trash
+    quarantine: [], // { collection, record, reason, at } — entries validation could not repair
+  };
+}
+
+// ───────────────────────── Schema: migrations + validation ─────────────────────────
+// MIGRATIONS[n] upgrades a blob from schemaVersion n+1 to n+2 (blobs without a version are 1).
+// Append only — never edit a step that has shipped. Filling in missing settings and repairing
+// records is validation's job (normalizeState), so it also covers blobs that are already current.
+
+const MIGRATIONS = [
+  // 1 → 2: commands carry an explicit orderIndex for cloud ordering
+  (s) => { (s.trainingCommands || []).forEach((c, i) => { if (c && !isFiniteTs(c.orderIndex)) c.orderIndex = i; }); },
+  // 2 → 3: sleep spans at → endAt; old point sleeps become zero-length so they don't read as "still asleep"
+  (s) => { (s.events || []).forEach(e => { if (e && e.type === "sleep" && !isFiniteTs(e.endAt)) e.endAt = e.at; }); },
+  // 3 → 4: out-attempt rules replace the hardcoded water delay, the sleep.* wake knobs and waterToOutMinutes
+  (s) => {
+    const st = s.settings; if (!st || typeof st !== "object" || Array.isArray(st.outAttemptRules)) return;
+    const rules = defaultOutAttemptRules(), wake = rules.find(r => r.trigger === "wake"), sleep = st.sleep || {};
+    if (sleep.outAttemptOnWake === false) wake.enabled = false;
+    if (isFiniteTs(sleep.wakeToOutMinutes)) wake.minutes = sleep.wakeToOutMinutes;
+    st.outAttemptRules = rules;
+    delete st.sleep; delete st.waterToOutMinutes;
+  },
+  // 4 → 5: everything so far belongs to one dog — move it, and its schedule settings, into a default profile
+  (s) => {
+    const st = s.settings && typeof s.settings === "object" ? s.settings : {};
+    const dog = defaultDog();
+    DOG_SETTING_KEYS.forEach(k => { if (st[k] !== undefined) dog.settings[k] = st[k]; });
+    s.dogs = [dog];
+    s.activeDogId = dog.id;
+    const tag = (r) => { if (r && typeof r === "object" && !r.dogId) r.dogId = dog.id; };
+    (s.events || []).forEach(tag);
+    (s.outAttempts || []).forEach(tag);
+    (s.trainingCommands || []).forEach(c => { tag(c); (c && Array.isArray(c.sessionHistory) ? c.sessionHistory : []).forEach(tag); });
+    tag(s.activeSession);
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS.length + 1;
+const BACKUP_PREFIX = LS_KEY + "-backup-";
+const MAX_BACKUPS = 3;
+
+function toTs(v) {
+  if (isFiniteTs(v)) return v;
+  if (typeof v === "string" && v.trim()) { const n = Number(v); if (isFinite(n)) return n; const d = Date.parse(v); if (!isNaN(d)) return d; }
+  return undefined;
+}
+
+// Each repairer returns the fixed record, or a string saying why it must be quarantined
+const RECORD_REPAIRERS = {
+  events(e) {
+    if (!e || typeof e !== "object") return "not an object";
+    const at = toTs(e.at); if (at === undefined) return "invalid timestamp";
+    if (!TYPE_LABEL[e.type]) return "unknown type " + JSON.stringify(e.type);
+    const out = { ...e, id: typeof e.id === "string" && e.id ? e.id : uid("ev"), at };
+    if (out.note !== undefined && out.note !== null && typeof out.note !== "string") out.note = String(out.note);
+    const details = cleanDetails(e.type, e.details);
+    if (details) out.details = details; else delete out.details;
+    const endAt = toTs(e.endAt);
+    if (e.type === "sleep" && endAt !== undefined) out.endAt = Math.max(endAt, at); else delete out.endAt;
+    return out;
+  },
+  outAttempts(a) {
+    if (!a || typeof a !== "object") return "not an object";
+    const at = toTs(a.at); if (at === undefined) return "invalid timestamp";
+    return { ...a, id: typeof a.id === "string" && a.id ? a.id : uid("out"), at, reason: typeof a.reason === "string" && a.reason ? a.reason : "pee", done: !!a.done, dismissed: !!a.dismissed };
+  },
+  trainingCommands(c) {
+    if (!c || typeof c !== "object") return "not an object";
+    if (typeof c.name !== "string" || !c.name.trim()) return "missing name";
+    const id = typeof c.id === "string" && c.id ? c.id : uid("cmd");
+    const sessionHistory = (Array.isArray(c.sessionHistory) ? c.sessionHistory : [])
+      .filter(x => x && typeof x === "object" && toTs(x.startedAt) !== undefined)
+      .map(x => ({ ...x, id: x.id || uid("sess"), commandId: id, startedAt: toTs(x.startedAt) }));
+    return { ...c, id, totalSeconds: isFiniteTs(c.totalSeconds) && c.totalSeconds >= 0 ? c.totalSeconds : 0, learned: !!c.learned, sessionHistory };
+  },
+};
+
+function normalizeSettings(raw) {
+  const d = defaultState().settings;
+  const s = raw && typeof raw === "object" ? raw : {};
+  const num = (v, fallback, ok) => (isFiniteTs(v) && ok(v) ? v : fallback);
+  const meals = s.mealSchedule && typeof s.mealSchedule === "object" ? s.mealSchedule : {};
+  const hhmmList = (v, fallback) => (Array.isArray(v) ? v.filter(t => typeof t === "string" && /^\d{1,2}:\d{2}$/.test(t.trim())).map(t => t.trim()) : fallback);
+  const times = hhmmList(meals.times, d.mealSchedule.times);
+  const cloud = s.cloud && typeof s.cloud === "object" ? s.cloud : {};
+  const rem = s.reminders && typeof s.reminders === "object" ? s.reminders : {};
+  const pred = s.prediction && typeof s.prediction === "object" ? s.prediction : {};
+  const acc = s.accidents && typeof s.accidents === "object" ? s.accidents : {};
+  const practice = s.practice && typeof s.practice === "object" ? s.practice : {};
+  const hhmm = (v, fallback) => (typeof v === "string" && /^\d{1,2}:\d{2}$/.test(v) ? v : fallback);
+  return {
+    ...s,
+    peeSuggestionMethod: s.peeSuggestionMethod === "mean" ? "mean" : "median",
+    prediction: {
+      mode: pred.mode === "simple" ? "simple" : "model",
+      windowDays: num(pred.windowDays, d.prediction.windowDays, v => v >= 1 && v <= 60),
+      halfLifeDays: num(pred.halfLifeDays, d.prediction.halfLifeDays, v => v > 0),
+    },
+    learnedThreshold: num(s.learnedThreshold, d.learnedThreshold, v => v >= 0 && v <= 1),
+    learnedWindow: num(s.learnedWindow, d.learnedWindow, v => v >= 1),
+    learnedBasis: s.learnedBasis === "reps" ? "reps" : "sessions",
+    learnedReps: num(s.learnedReps, d.learnedReps, v => v >= 1),
+    practice: {
+      perDay: num(practice.perDay, d.practice.perDay, v => v >= 1),
+      minutes: num(practice.minutes, d.practice.minutes, v => v > 0),
+      refresherMinutes: num(practice.refresherMinutes, d.practice.refresherMinutes, v => v > 0),
+    },
+    mealSchedule: {
+      ...meals,
+      times,
+      weekendTimes: hhmmList(meals.weekendTimes, []),
+      toleranceMinutes: num(meals.toleranceMinutes, d.mealSchedule.toleranceMinutes, v => v >= 1),
+      lateAfterMinutes: num(meals.lateAfterMinutes, d.mealSchedule.lateAfterMinutes, v => v >= 0),
+    },
+    outAttemptRules: normalizeOutAttemptRules(s.outAttemptRules),
+    accidents: {
+      rescheduleSooner: acc.rescheduleSooner !== false,
+      minutesToNextAttempt: num(acc.minutesToNextAttempt, d.accidents.minutesToNextAttempt, v => v >= 1),
+    },
+    reminders: {
+      enabled: !!rem.enabled,
+      attempts: rem.attempts !== false,
+      meals: rem.meals !== false,
+      quietStart: hhmm(rem.quietStart, d.reminders.quietStart),
+      quietEnd: hhmm(rem.quietEnd, d.reminders.quietEnd),
+    },
+    cloud: {
+      enabled: !!cloud.enabled,
+      url: typeof cloud.url === "string" ? cloud.url : "",
+      anonKey: typeof cloud.anonKey === "string" ? cloud.anonKey : "",
+      familyId: typeof cloud.familyId === "string" ? cloud.familyId : "",
+      userId: typeof cloud.userId === "string" ? cloud.userId : "",
+      email: typeof cloud.email === "string" ? cloud.email : "",
     },
-    activeSession: null,
   };
 }
 
+// Migrate + validate a parsed blob. -> { state, changed, errors }; never throws.
+function normalizeState(parsed, now) {
+  const errors = [];
+  let s = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  const from = isFiniteTs(s.schemaVersion) ? s.schemaVersion : 1;
+  let changed = from !== SCHEMA_VERSION;
+  for (let v = from; v < SCHEMA_VERSION; v++) {
+    try { MIGRATIONS[v - 1](s); } catch (e) { errors.push("migration " + v + "→" + (v + 1) + ": " + (e && e.message ? e.message : String(e))); }
+  }
+
+  const quarantine = Array.isArray(s.quarantine) ? s.quarantine.slice() : [];
+  const out = { ...s, schemaVersion: SCHEMA_VERSION, settings: normalizeSettings(s.settings) };
+  const trash = s.trash && typeof s.trash === "object" ? s.trash : {};
+  out.trash = emptyTrash();
+  Object.keys(RECORD_REPAIRERS).forEach(key => {
+    const seen = new Set();
+    const repair = (records) => (Array.isArray(records) ? records : []).reduce((list, rec) => {
+      let fixed = RECORD_REPAIRERS[key](rec);
+      if (typeof fixed !== "string" && seen.has(fixed.id)) fixed = "duplicate id " + fixed.id;
+      if (typeof fixed === "string") { quarantine.push({ collection: key, record: rec, reason: fixed, at: now }); return list; }
+      seen.add(fixed.id);
+      list.push(fixed);
+      return list;
+    }, []);
+    out[key] = repair(s[key]);
+    if (TRASHABLE.indexOf(key) === -1) return;
+    // whichever list a record was stored in, deletedAt is what puts it in the trash
+    splitTrash(out, key, out[key].concat(repair(trash[key]).map(r => (isFiniteTs(r.deletedAt) ? r : { ...r, deletedAt: now }))));
+  });
+  const seenDogs = new Set();
+  out.dogs = (Array.isArray(s.dogs) ? s.dogs : []).filter(d => d && typeof d === "object" && typeof d.id === "string" && d.id && !seenDogs.has(d.id) && seenDogs.add(d.id)).map(d => normalizeDog(d, out.settings));
+  if (!out.dogs.length) out.dogs = [normalizeDog(defaultDog(), out.settings)];
+  out.activeDogId = out.dogs.some(d => d.id === s.activeDogId) ? s.activeDogId : out.dogs[0].id;
+  out.members = (Array.isArray(s.members) ? s.members : []).filter(m => m && typeof m.userId === "string" && m.userId)
+    .map(m => ({ userId: m.userId, displayName: typeof m.displayName === "string" && m.displayName ? m.displayName : "Caregiver", role: m.role === "owner" ? "owner" : "caregiver" }));
+  const a = s.activeSession;
+  out.activeSession = a && typeof a === "object" && toTs(a.startedAt) !== undefined && out.trainingCommands.some(c => c.id === a.commandId)
+    ? { ...a, segments: (Array.isArray(a.segments) ? a.segments : []).filter(g => g && isFiniteTs(g.start)), reps: cleanReps(a.reps) } // older builds kept the elapsed time in memory only
+    : null;
+  out.quarantine = quarantine;
+
+  if (!changed) changed = JSON.stringify(out) !== JSON.stringify(s);
+  return { state: out, changed, errors };
+}
+
+// Keep a copy of the raw blob before anything that could lose data; only the newest few are kept
+function backupRawState(raw, reason) {
+  if (!raw) return;
+  const store = getStore();
+  try { store.setItem(BACKUP_PREFIX + Date.now(), JSON.stringify({ reason, savedAt: Date.now(), raw })); } catch (_) {}
+  listBackups().slice(MAX_BACKUPS).forEach(b => { try { store.removeItem(b.key); } catch (_) {} });
+}
+function listBackups() {
+  if (!storageAvailable()) return []; // the in-memory fallback doesn't outlive the page anyway
+  const out = [];
+  for (let i = 0; i < window.localStorage.length; i++) {
+    const key = window.localStorage.key(i);
+    if (!key || key.indexOf(BACKUP_PREFIX) !== 0) continue;
+    try { const b = JSON.parse(window.localStorage.getItem(key)); out.push({ key, reason: b.reason, savedAt: b.savedAt, raw: b.raw }); } catch (_) {}
+  }
+  return out.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// The blob this tab last wrote or validated. Reading it back needs no migration or repair, so
+// mutate() and friends only parse it; data written elsewhere (another tab, an older build, a
+// hand edit) still goes through normalizeState once.
+let _trustedRaw = null;
+
 function loadState() {
   const store = getStore();
   const raw = store.getItem(LS_KEY);
-  if (!raw) { const d = defaultState(); store.setItem(LS_KEY, JSON.stringify(d)); return d; }
-  try { return JSON.parse(raw); } catch { const d = defaultState(); store.setItem(LS_KEY, JSON.stringify(d)); return d; }
+  if (!raw) { const d = defaultState(); saveState(d); return d; }
+  if (raw === _trustedRaw) return JSON.parse(raw);
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch {
+    backupRawState(raw, "unreadable JSON");
+    const d = defaultState(); saveState(d); return d;
+  }
+  const { state, changed, errors } = normalizeState(parsed, Date.now());
+  if (changed) {
+    const before = isFiniteTs(parsed && parsed.schemaVersion) ? parsed.schemaVersion : 1;
+    const quarantined = state.quarantine.length - (parsed && Array.isArray(parsed.quarantine) ? parsed.quarantine.length : 0);
+    if (before !== SCHEMA_VERSION || quarantined > 0 || errors.length) {
+      backupRawState(raw, before !== SCHEMA_VERSION ? "before migrating v" + before + " → v" + SCHEMA_VERSION : "before quarantining " + quarantined + " record(s)");
+    }
+    if (errors.length) console.warn("Rue Tracker: state migration problems", errors);
+    saveState(state);
+  } else _trustedRaw = raw;
+  return state;
+}
+function saveState(s) {
+  const store = getStore();
+  try { const raw = JSON.stringify(s); store.setItem(LS_KEY, raw); _trustedRaw = raw; } catch (_) {}
 }
-function saveState(s) { const store = getStore(); try { store.setItem(LS_KEY, JSON.stringify(s)); } catch (_) {} }
 function update(mutator) { const s = loadState(); mutator(s); saveState(s); return s; }
 
 function median(values) {
@@ -90,6 +336,8 @@ const timeOpts = { hour: "numeric", minute: "2-digit", hour12: true };
 const dateTimeOpts = { year: "numeric", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", hour12: true };
 function fmtTime(ts) { return new Date(ts).toLocaleTimeString([], timeOpts); }
 function fmtDateTime(ts) { return new Date(ts).toLocaleString([], dateTimeOpts); }
+function fmtDuration(ms) { const m = Math.round(Math.max(0, ms) / 60000); return m < 60 ? m + "m" : Math.floor(m / 60) + "h " + String(m % 60).padStart(2, "0") + "m"; }
+function fmtClock(ms) { const t = Math.floor(Math.max(0, ms) / 1000); return Math.floor(t / 3600) + ":" + String(Math.floor(t / 60) % 60).padStart(2, "0") + ":" + String(t % 60).padStart(2, "0"); }
 
 // Emoji + Labels for event types (used in Logs, Schedule, Export)
 const TYPE_ICON = {
@@ -97,6 +345,7 @@ const TYPE_ICON = {
   poop: "💩",
   sleep: "😴",
   food: "🍽️",
+  snack: "🦴",
   water: "💧",
   training: "🎓",
   pee_attempt: "🚽",
@@ -106,11 +355,72 @@ const TYPE_LABEL = {
   poop: "Poop",
   sleep: "Sleep",
   food: "Meal",
+  snack: "Snack",
   water: "Water",
   training: "Training",
   pee_attempt: "Pee attempt",
 };
 
+// Structured details per event type, stored as event.details = { [key]: value }
+const LOCATION_OPTIONS = ["outside", "inside", "pad"];
+// Potty outcome (pee, poop, pee_attempt). Stored values stay short; labels are for display.
+const OUTCOME_TYPES = ["pee", "poop", "pee_attempt"];
+const OUTCOME_LABELS = { success: "✅ success outside", accident: "⚠️ accident inside", none: "➖ no result" };
+const OUTCOME_FIELD = { key: "outcome", label: "Outcome", options: Object.keys(OUTCOME_LABELS), labels: OUTCOME_LABELS };
+const EVENT_DETAILS = {
+  pee: [OUTCOME_FIELD, { key: "location", label: "Location", options: LOCATION_OPTIONS }],
+  poop: [
+    OUTCOME_FIELD,
+    { key: "location", label: "Location", options: LOCATION_OPTIONS },
+    { key: "consistency", label: "Consistency", options: ["normal", "soft", "runny", "hard"] },
+  ],
+  food: [
+    { key: "amount", label: "Amount", options: ["all", "most", "half", "a little", "none"] },
+    { key: "foodType", label: "Food", placeholder: "e.g., kibble" },
+  ],
+  snack: [{ key: "foodType", label: "Treat", placeholder: "e.g., chew" }],
+  water: [{ key: "volumeMl", label: "Volume (ml)", numeric: true, placeholder: "approx." }],
+  training: [{ key: "command", label: "Command", fromCommands: true }],
+  pee_attempt: [OUTCOME_FIELD],
+};
+
+// Keep only known, non-empty fields for the type; undefined when nothing is left
+function cleanDetails(type, details) {
+  if (!details || typeof details !== "object") return undefined;
+  const out = {};
+  (EVENT_DETAILS[type] || []).forEach(f => {
+    let v = details[f.key];
+    if (v === undefined || v === null || String(v).trim() === "") return;
+    if (f.numeric) { v = Number(v); if (!isFinite(v) || v < 0) return; }
+    else v = String(v).trim();
+    if (f.options && f.options.indexOf(v) === -1) return;
+    out[f.key] = v;
+  });
+  return Object.keys(out).length ? out : undefined;
+}
+function formatEventDetails(e) {
+  if (!e) return "";
+  const parts = [];
+  if (e.type === "sleep") {
+    if (!isFiniteTs(e.endAt)) parts.push("still asleep");
+    else if (e.endAt > e.at) parts.push("until " + fmtTime(e.endAt) + ", " + fmtDuration(e.endAt - e.at));
+  }
+  const d = e.details || {};
+  (EVENT_DETAILS[e.type] || []).filter(f => d[f.key] !== undefined)
+    .forEach(f => parts.push(f.key === "volumeMl" ? "≈" + d[f.key] + " ml" : f.labels ? f.labels[d[f.key]] : String(d[f.key])));
+  return parts.join(" · ");
+}
+
+// -> 'success' | 'accident' | 'none' | undefined. Pee/poop without an explicit outcome count as a
+// success unless they were logged inside; an attempt without one is unknown.
+function eventOutcome(e) {
+  if (!e || OUTCOME_TYPES.indexOf(e.type) === -1) return undefined;
+  const d = e.details || {};
+  if (d.outcome) return d.outcome;
+  if (e.type === "pee_attempt") return undefined;
+  return d.location === "inside" ? "accident" : "success";
+}
+
 // Convert "HH:MM" (24h) to 12h label using today as the date
 function hhmmTo12hLabel(hhmm) {
   const parts = hhmm.split(":");
@@ -152,290 +462,1660 @@ function peeSuggestionFromPrevDay(state, now) {
   return Math.round(anchor + central);
 }
 
+// ───────────────────────── Pee prediction model ─────────────────────────
+// Learns, over the last `windowDays` days, how long after each kind of trigger (the previous
+// pee, water, a meal, waking up) the next pee comes. Samples are weighted toward recent days
+// (halving every `halfLifeDays`) and toward the same time of day. Each trigger seen since the
+// last pee gives an estimate; the earliest wins, with its 25th–75th percentile as the range.
+// "simple" mode is the original previous-day median/mean (peeSuggestionFromPrevDay).
+
+const DAY_MS = 24 * 3600 * 1000;
+const PREDICTION_TRIGGERS = {
+  pee: { label: "the last pee", maxLatency: 8 * 3600 * 1000 },
+  water: { label: "water", maxLatency: 4 * 3600 * 1000 },
+  food: { label: "a meal", maxLatency: 4 * 3600 * 1000 },
+  wake: { label: "waking up", maxLatency: 2 * 3600 * 1000 },
+};
+const PREDICTION_MIN_SAMPLES = 3;
+const SAME_TIME_OF_DAY_HOURS = 2;
+
+// samples: [{ value, weight }]
+function weightedQuantile(samples, q) {
+  const arr = samples.filter(x => isFiniteTs(x.value) && x.weight > 0).sort((a, b) => a.value - b.value);
+  const total = arr.reduce((a, x) => a + x.weight, 0);
+  if (!total) return undefined;
+  let acc = 0;
+  for (const x of arr) { acc += x.weight; if (acc >= q * total) return x.value; }
+  return arr[arr.length - 1].value;
+}
+function hoursApart(a, b) {
+  const h = (ts) => { const d = new Date(ts); return d.getHours() + d.getMinutes() / 60; };
+  const diff = Math.abs(h(a) - h(b));
+  return Math.min(diff, 24 - diff);
+}
+
+// Timestamps at which a trigger happened. Waking is the end of a sleep that has one.
+function triggerTimes(state, kind) {
+  if (kind === "wake") return state.events.filter(e => e && e.type === "sleep" && isFiniteTs(e.endAt)).map(e => e.endAt).sort((a, b) => a - b);
+  return state.events.filter(e => e && e.type === kind && isFiniteTs(e.at)).map(e => e.at).sort((a, b) => a - b);
+}
+
+function predictNextPee(state, now) {
+  const cfg = state.settings.prediction || {};
+  const simple = (why) => {
+    const at = peeSuggestionFromPrevDay(state, now);
+    return at ? { at, mode: "simple", method: state.settings.peeSuggestionMethod, why } : null;
+  };
+  if (cfg.mode === "simple") return simple("");
+  const windowStart = startOfDay(now) - (cfg.windowDays || 7) * DAY_MS;
+  const halfLife = (cfg.halfLifeDays || 3) * DAY_MS;
+  const pees = triggerTimes(state, "pee").filter(t => t <= now);
+  const lastPee = pees.length ? pees[pees.length - 1] : undefined;
+  const since = lastPee !== undefined ? lastPee : startOfDay(now);
+  const nextPeeAfter = (t) => pees.find(p => p > t);
+
+  const candidates = [];
+  Object.keys(PREDICTION_TRIGGERS).forEach(kind => {
+    const times = triggerTimes(state, kind);
+    // the first occurrence since the last pee (for "pee", the last pee itself)
+    const triggerAt = kind === "pee" ? lastPee : times.find(t => t >= since && t <= now);
+    if (triggerAt === undefined) return;
+    const samples = [];
+    times.filter(t => t >= windowStart && t < since).forEach(t => {
+      const p = nextPeeAfter(t);
+      if (p === undefined || p - t > PREDICTION_TRIGGERS[kind].maxLatency) return;
+      const recency = Math.pow(0.5, (now - t) / halfLife);
+      samples.push({ value: p - t, weight: recency * (hoursApart(t, triggerAt) <= SAME_TIME_OF_DAY_HOURS ? 2 : 1) });
+    });
+    if (samples.length < PREDICTION_MIN_SAMPLES) return;
+    const mid = weightedQuantile(samples, 0.5);
+    candidates.push({
+      kind, label: PREDICTION_TRIGGERS[kind].label, triggerAt, typical: mid, samples: samples.length,
+      at: Math.round(triggerAt + mid), low: Math.round(triggerAt + weightedQuantile(samples, 0.25)), high: Math.round(triggerAt + weightedQuantile(samples, 0.75)),
+    });
+  });
+  if (!candidates.length) return simple("not enough history for the model yet");
+  candidates.sort((a, b) => a.at - b.at);
+  const best = candidates[0];
+  return { at: best.at, low: best.low, high: best.high, mode: "model", driver: best, candidates, windowDays: cfg.windowDays || 7 };
+}
+
+function describePrediction(p) {
+  if (!p) return "";
+  if (p.mode === "simple") return "based on yesterday's " + p.method + " interval" + (p.why ? " — " + p.why : "");
+  const d = p.driver;
+  return "driven by " + d.label + " at " + fmtTime(d.triggerAt) + ": usually " + Math.round(d.typical / 60000) + " min later (" + d.samples + " times in the last " + p.windowDays + " days)";
+}
+
+// First pee of a (future) day: the recency-weighted time of day of the first pee over the
+// prediction window before today. -> { at, low, high, samples, windowDays } | null
+function predictFirstPee(state, dayTs, now) {
+  const cfg = state.settings.prediction || {};
+  const windowDays = cfg.windowDays || 7, halfLife = (cfg.halfLifeDays || 3) * DAY_MS;
+  const today = startOfDay(now), day = startOfDay(dayTs);
+  const pees = triggerTimes(state, "pee");
+  const samples = [];
+  eachDay(today - windowDays * DAY_MS, today - 1).forEach(d => {
+    const first = pees.find(t => t >= d && t <= endOfDay(d));
+    if (first !== undefined) samples.push({ value: first - d, weight: Math.pow(0.5, (now - first) / halfLife) });
+  });
+  if (samples.length < PREDICTION_MIN_SAMPLES) return null;
+  return {
+    at: day + weightedQuantile(samples, 0.5), low: day + weightedQuantile(samples, 0.25), high: day + weightedQuantile(samples, 0.75),
+    samples: samples.length, windowDays,
+  };
+}
+
+// ───────────────────────── Out-attempt rules ─────────────────────────
+// settings.outAttemptRules: "after <trigger>, schedule a <target> attempt in <minutes>", each
+// with an on/off switch and a dedup mode for triggers that pile up before the dog goes:
+//   first  — keep the attempt from the first trigger (the original water rule)
+//   latest — every new trigger pushes the pending attempt back
+//   each   — one attempt per trigger
+// A pee (poop) clears the pending pee (poop) attempts whose trigger came before it.
+
+const RULE_TRIGGERS = { water: "water", food: "a meal", wake: "waking up" };
+const RULE_TARGETS = { pee: "🚽 Pee attempt", poop: "💩 Poop attempt" };
+const RULE_DEDUP = { first: "keep the first", latest: "push back to the latest", each: "one per trigger" };
+const RULE_REASON = { water: "pee", food: "meal", wake: "wake" }; // reason values predate rules
+
+function defaultOutAttemptRules() {
+  return [
+    { id: "water", trigger: "water", target: "pee", minutes: 80, dedup: "first", enabled: true },
+    { id: "wake", trigger: "wake", target: "pee", minutes: 5, dedup: "each", enabled: true },
+    { id: "meal", trigger: "food", target: "poop", minutes: 20, dedup: "latest", enabled: true },
+  ];
+}
+
+function normalizeOutAttemptRules(raw) {
+  if (!Array.isArray(raw)) return defaultOutAttemptRules();
+  const seen = new Set();
+  return raw.filter(r => r && typeof r === "object" && RULE_TRIGGERS[r.trigger] && RULE_TARGETS[r.target]).map(r => {
+    const id = typeof r.id === "string" && r.id && !seen.has(r.id) ? r.id : uid("rule");
+    seen.add(id);
+    return { id, trigger: r.trigger, target: r.target, minutes: isFiniteTs(r.minutes) && r.minutes >= 0 ? r.minutes : 0, dedup: RULE_DEDUP[r.dedup] ? r.dedup : "first", enabled: r.enabled !== false };
+  });
+}
+
+function describeRule(rule) { return "after " + RULE_TRIGGERS[rule.trigger] + ", " + rule.minutes + " min"; }
+
+// Attempts from before rules existed carry only a reason
+function attemptRuleId(a) { return a.ruleId || { pee: "water", wake: "wake", meal: "meal" }[a.reason]; }
+function attemptRule(state, a) { const id = attemptRuleId(a); return (state.settings.outAttemptRules || []).find(r => r.id === id); }
+function attemptTarget(state, a) { const r = attemptRule(state, a); return r ? r.target : a.reason === "meal" ? "poop" : "pee"; }
+// Dismissed (by older builds) or trashed attempts stay around so past days can still show them
+function attemptPending(a) { return !!a && !a.done && !a.dismissed && !a.deletedAt; }
+// When the thing that caused an attempt happened (a wake counts from the end of the sleep)
+function attemptTriggerAt(state, a) {
+  const src = state.events.find(e => e && e.id === a.sourceEventId);
+  if (!src) return undefined;
+  return src.type === "sleep" ? src.endAt : src.at;
+}
+// "after water (80 min)" — shown on the Schedule tab and in reminders
+function describeAttemptSource(state, a) {
+  if (a.reason === "accident") return "after an accident";
+  const r = attemptRule(state, a);
+  if (r) return describeRule(r);
+  return { pee: "after water", wake: "after waking up", meal: "after a meal" }[a.reason] || "";
+}
+// The attempt id for a water rule stays "out-<water id>", as before rules existed
+function ruleAttemptId(rule, ev) { return rule.id === "water" ? "out-" + ev.id : "out-" + rule.id + "-" + ev.id; }
+
+function lastEventAt(state, type) {
+  return state.events.reduce((m, e) => (e && e.type === type && isFiniteTs(e.at) && e.at > m ? e.at : m), -Infinity);
+}
+
+// Schedule (or reschedule) attempts for every enabled rule listening to `trigger`
+function applyOutAttemptRules(state, trigger, ev) {
+  const triggerAt = ev && (trigger === "wake" ? ev.endAt : ev.at);
+  (state.settings.outAttemptRules || []).filter(r => r.enabled && r.trigger === trigger).forEach(rule => {
+    const id = ruleAttemptId(rule, ev);
+    if (withTrash(state, "outAttempts").some(a => a.id === id && !attemptPending(a))) return; // done, dismissed or trashed
+    state.outAttempts = state.outAttempts.filter(a => a.id !== id); // re-applying (an edited wake time) reschedules
+    if (!isFiniteTs(triggerAt)) return;
+    const lastTargetAt = lastEventAt(state, rule.target);
+    if (triggerAt < lastTargetAt) return; // backdated trigger the dog has already gone after
+    if (rule.dedup !== "each") {
+      const pending = state.outAttempts.find(a => attemptPending(a) && attemptRuleId(a) === rule.id && isFiniteTs(a.at) && a.at > (lastTargetAt === -Infinity ? 0 : lastTargetAt));
+      if (pending) {
+        const srcAt = attemptTriggerAt(state, pending);
+        // first: keep it unless this (backdated) trigger came earlier; latest: move it unless this one is older
+        if (!isFiniteTs(srcAt) || (rule.dedup === "first" ? srcAt <= triggerAt : srcAt >= triggerAt)) return;
+        state.outAttempts = state.outAttempts.filter(a => a !== pending);
+      }
+    }
+    const at = triggerAt + rule.minutes * 60 * 1000;
+    if (!isFiniteTs(at)) return;
+    state.outAttempts.push({ id, at, reason: RULE_REASON[trigger], ruleId: rule.id, sourceEventId: ev.id, done: false });
+  });
+}
+
 // Ensure exactly one pending Pee Attempt scheduled 1h20m after the FIRST water since the last pee
+// (with the default water rule — the delay and dedup now come from settings.outAttemptRules)
 function ensurePeeAttemptAfterWater(state, waterEvent) {
   if (!waterEvent || !isFiniteTs(waterEvent.at)) return;
-  const EIGHTY_MIN = 80 * 60 * 1000;
-  const peesDesc = state.events
-    .filter(e => e && e.type === "pee" && isFiniteTs(e.at))
-    .sort((a, b) => b.at - a.at);
-  const lastPeeAt = peesDesc.length ? peesDesc[0].at : -Infinity;
-  const alreadyPending = state.outAttempts.some(a => !!a && !a.done && a.reason === "pee" && isFiniteTs(a.at) && a.at > (lastPeeAt === -Infinity ? 0 : lastPeeAt));
-  if (alreadyPending) return; // do NOT reschedule if one is pending from the first water
-  const at = waterEvent.at + EIGHTY_MIN;
-  if (!isFiniteTs(at)) return;
-  state.outAttempts.push({ id: "out-" + waterEvent.id, at, reason: "pee", sourceEventId: waterEvent.id, done: false });
+  applyOutAttemptRules(state, "water", waterEvent);
+}
+
+// -> the water rule's delay, which the Stats tab checks against real latencies
+function waterRuleMs(settings) {
+  const r = (settings.outAttemptRules || []).find(x => x.enabled && x.trigger === "water" && x.target === "pee");
+  return (r ? r.minutes : 80) * 60 * 1000;
+}
+
+// A pee or poop clears pending attempts for it — except ones triggered after it (a backdated pee)
+function clearAttemptsFor(state, ev) {
+  state.outAttempts = state.outAttempts.filter(a => {
+    if (!attemptPending(a) || attemptTarget(state, a) !== ev.type) return true;
+    const srcAt = attemptTriggerAt(state, a);
+    return isFiniteTs(srcAt) && srcAt > ev.at;
+  });
+}
+
+// Log one or more quick-log types at the same (possibly backdated) time; returns the new events.
+// outcome (optional) is recorded on the pee/poop/attempt entries among them.
+function applyQuickLog(state, types, at, outcome) {
+  return types.map((type) => {
+    const ev = { id: uid("ev"), type, at };
+    if (outcome && OUTCOME_TYPES.indexOf(type) !== -1) ev.details = { outcome };
+    if (type === "sleep") {
+      // one nap at a time: a new sleep closes an open one; a backdated one ends where the open one starts
+      const open = currentSleep(state);
+      if (open && open.at <= at) endSleep(state, open, at);
+      else if (open) ev.endAt = open.at;
+    }
+    state.events.push(ev);
+    if (type === "pee" || type === "poop") clearAttemptsFor(state, ev);
+    if (type === "water" || type === "food") applyOutAttemptRules(state, type, ev);
+    if (eventOutcome(ev) === "accident") rescheduleAfterAccident(state, ev);
+    return ev;
+  });
+}
+
+// An accident pulls the next pending out-attempt in to accident + N minutes (or adds one)
+function rescheduleAfterAccident(state, ev) {
+  const cfg = state.settings.accidents;
+  if (!cfg || !cfg.rescheduleSooner || !isFiniteTs(ev.at)) return;
+  const target = ev.at + cfg.minutesToNextAttempt * 60 * 1000;
+  const next = state.outAttempts.filter(a => attemptPending(a) && isFiniteTs(a.at) && a.at > ev.at).sort((a, b) => a.at - b.at)[0];
+  if (next) { if (next.at > target) next.at = target; return; }
+  if (trashOf(state, "outAttempts").some(a => a.id === "out-acc-" + ev.id)) return;
+  state.outAttempts.push({ id: "out-acc-" + ev.id, at: target, reason: "accident", sourceEventId: ev.id, done: false });
+}
+
+// ───────────────────────── Trash (soft delete) ─────────────────────────
+// Deleting a log or an attempt stamps deletedAt and moves it to state.trash, so everything that
+// reads state.events / state.outAttempts never sees it. The cloud keeps the row with deleted_at
+// set; only "Delete forever" removes it. Sync and undo work on the live + trash lists together.
+
+const TRASHABLE = ["events", "outAttempts"];
+
+function emptyTrash() { return { events: [], outAttempts: [] }; }
+function trashOf(state, key) { return (state.trash && state.trash[key]) || []; }
+function withTrash(state, key) { return (state[key] || []).concat(trashOf(state, key)); }
+function splitTrash(state, key, all) {
+  if (!state.trash) state.trash = emptyTrash();
+  state[key] = all.filter(r => !r.deletedAt);
+  state.trash[key] = all.filter(r => r.deletedAt);
+}
+
+// Trash a log with the attempts it scheduled (water, wake, accident); they share one deletedAt,
+// which is how restoring the log finds them again
+function trashEvent(s, id, now) {
+  const ev = s.events.find(e => e.id === id);
+  if (!ev) return;
+  ev.deletedAt = now;
+  s.outAttempts.forEach(a => { if (a.sourceEventId === id) a.deletedAt = now; });
+  TRASHABLE.forEach(key => splitTrash(s, key, withTrash(s, key)));
+}
+
+function trashAttempt(s, id, now) {
+  const a = s.outAttempts.find(x => x.id === id);
+  if (!a) return;
+  a.deletedAt = now;
+  splitTrash(s, "outAttempts", withTrash(s, "outAttempts"));
+}
+
+// Restoring a log brings back the attempts trashed with it; if those were purged meanwhile,
+// the out-attempt rules schedule them again as if it had just been logged
+function restoreFromTrash(s, key, id) {
+  const rec = s.trash[key].find(r => r.id === id);
+  if (!rec) return;
+  const stamp = rec.deletedAt;
+  delete rec.deletedAt;
+  if (key === "events") {
+    const linked = s.trash.outAttempts.filter(a => a.sourceEventId === id && a.deletedAt === stamp);
+    linked.forEach(a => { delete a.deletedAt; });
+    TRASHABLE.forEach(k => splitTrash(s, k, withTrash(s, k)));
+    if (linked.length) return;
+    s.trash.outAttempts = s.trash.outAttempts.filter(a => a.sourceEventId !== id); // ids are derived from the log — don't collide
+    if (rec.type === "water" || rec.type === "food") applyOutAttemptRules(s, rec.type, rec);
+    else if (rec.type === "sleep" && isFiniteTs(rec.endAt)) applyOutAttemptRules(s, "wake", rec);
+  } else {
+    splitTrash(s, key, withTrash(s, key));
+  }
+}
+
+// "Delete forever"; a log takes the attempts trashed with it along
+// A purged log takes every trashed attempt it caused along, whenever that was trashed; a live
+// one (restored on its own) is unlinked instead, so no row points at the deleted log
+function purgeFromTrash(s, key, id) {
+  const rec = s.trash[key].find(r => r.id === id);
+  if (!rec) return;
+  s.trash[key] = s.trash[key].filter(r => r !== rec);
+  if (key !== "events") return;
+  s.trash.outAttempts = s.trash.outAttempts.filter(a => a.sourceEventId !== id);
+  s.outAttempts.forEach(a => { if (a.sourceEventId === id) a.sourceEventId = null; });
+}
+
+// Undo: put back whatever `after` changed relative to `before` in the logs, attempts and trash.
+// A record that has changed again since (a later edit, another phone) keeps its newer version.
+function revertChanges(s, before, after) {
+  TRASHABLE.forEach(key => {
+    const was = new Map(withTrash(before, key).map(r => [r.id, r]));
+    const then = new Map(withTrash(after, key).map(r => [r.id, r]));
+    const touched = new Set([...was.keys(), ...then.keys()].filter(id => !was.has(id) || !then.has(id) || recordSig(was.get(id)) !== recordSig(then.get(id))));
+    const current = withTrash(s, key);
+    const unchangedSince = (r) => then.has(r.id) && recordSig(then.get(r.id)) === recordSig(r);
+    const list = current.filter(r => !touched.has(r.id) || !unchangedSince(r));
+    touched.forEach(id => {
+      const cur = current.find(r => r.id === id);
+      if (cur ? !unchangedSince(cur) : then.has(id)) return; // edited or deleted again since
+      if (was.has(id)) list.push(JSON.parse(JSON.stringify(was.get(id))));
+    });
+    splitTrash(s, key, list);
+  });
+}
+
+// ───────────────────────── Potty-training metrics ─────────────────────────
+
+// Per-day success/accident counts for [fromTs, toTs], accident-free streaks and accidents by hour
+function pottyStats(state, fromTs, toTs, now) {
+  const evs = state.events.filter(e => e && isFiniteTs(e.at) && OUTCOME_TYPES.indexOf(e.type) !== -1);
+  const last = Math.min(toTs, now);
+  const days = (last < fromTs ? [] : eachDay(fromTs, last)).map(day => {
+    const dayEnd = endOfDay(day);
+    const outcomes = evs.filter(e => e.at >= day && e.at <= dayEnd).map(eventOutcome);
+    const successes = outcomes.filter(o => o === "success").length, accidents = outcomes.filter(o => o === "accident").length;
+    return { day, successes, accidents, noResult: outcomes.filter(o => o === "none").length, rate: successes + accidents ? successes / (successes + accidents) : undefined };
+  });
+  // a streak day needs at least one logged success — an empty day proves nothing
+  let current = 0, longest = 0, run = 0;
+  days.forEach(d => {
+    if (d.accidents) run = 0; else if (d.successes) run++;
+    longest = Math.max(longest, run);
+  });
+  for (let i = days.length - 1; i >= 0; i--) { if (days[i].accidents) break; if (days[i].successes) current++; }
+  const accidentsByHour = new Array(24).fill(0);
+  let lastAccidentAt;
+  evs.filter(e => eventOutcome(e) === "accident").forEach(e => {
+    if (e.at >= fromTs && e.at <= toTs) accidentsByHour[new Date(e.at).getHours()]++;
+    if (e.at <= now && !(lastAccidentAt >= e.at)) lastAccidentAt = e.at;
+  });
+  const successes = days.reduce((a, d) => a + d.successes, 0), accidents = days.reduce((a, d) => a + d.accidents, 0);
+  return { days, successes, accidents, rate: successes + accidents ? successes / (successes + accidents) : undefined, currentStreak: current, longestStreak: longest, accidentsByHour, lastAccidentAt };
+}
+
+// ───────────────────────── Sleep ─────────────────────────
+// A sleep event spans at → endAt (endAt is absent while asleep). Waking up is the strongest
+// potty trigger, so ending a sleep runs the "wake" out-attempt rules.
+
+function currentSleep(state) {
+  return state.events.filter(e => e && e.type === "sleep" && isFiniteTs(e.at) && !isFiniteTs(e.endAt)).sort((a, b) => b.at - a.at)[0] || null;
+}
+
+function endSleep(state, sleepEvent, at) {
+  sleepEvent.endAt = Math.max(at, sleepEvent.at);
+  applyOutAttemptRules(state, "wake", sleepEvent);
+}
+
+// Totals for the day containing dayTs. Naps are clipped to the day; an ongoing one counts up to now.
+function sleepStats(state, dayTs, now) {
+  const from = startOfDay(dayTs), to = endOfDay(dayTs) + 1;
+  const spans = state.events
+    .filter(e => e && e.type === "sleep" && isFiniteTs(e.at))
+    .map(e => Math.min(isFiniteTs(e.endAt) ? e.endAt : now, to) - Math.max(e.at, from))
+    .filter(ms => ms > 0);
+  return { totalMs: spans.reduce((a, b) => a + b, 0), longestMs: spans.length ? Math.max(...spans) : 0, naps: spans.length };
+}
+
+// ───────────────────────── Dog profiles ─────────────────────────
+// Records of every dog share the top-level lists, tagged with dogId. Views work on dogState(),
+// a copy scoped to one dog with that dog's settings merged in, so the helpers above stay
+// single-dog; withDog() runs a mutator against that copy and writes the result back.
+
+// Schedule and training settings each dog has its own copy of; the rest is household-wide
+const DOG_SETTING_KEYS = ["peeSuggestionMethod", "prediction", "learnedThreshold", "learnedWindow", "learnedBasis", "learnedReps", "practice", "mealSchedule", "outAttemptRules", "accidents"];
+
+function normalizeDog(d, householdSettings) {
+  const merged = normalizeSettings({ ...householdSettings, ...(d.settings && typeof d.settings === "object" ? d.settings : {}) });
+  const settings = {};
+  DOG_SETTING_KEYS.forEach(k => { settings[k] = merged[k]; });
+  return {
+    ...d,
+    name: typeof d.name === "string" && d.name.trim() ? d.name.trim() : "Dog",
+    emoji: typeof d.emoji === "string" && d.emoji ? d.emoji : "🐶",
+    birthdate: typeof d.birthdate === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d.birthdate) ? d.birthdate : "",
+    settings,
+  };
+}
+
+function findDog(state, dogId) { return (state.dogs || []).find(d => d.id === dogId) || (state.dogs || [])[0]; }
+function recordDogId(state, r) { return (r && r.dogId) || (state.dogs && state.dogs[0] ? state.dogs[0].id : DEFAULT_DOG_ID); }
+
+function dogState(state, dogId) {
+  const dog = findDog(state, dogId) || defaultDog();
+  const mine = (r) => recordDogId(state, r) === dog.id;
+  return {
+    ...state,
+    dog,
+    events: state.events.filter(mine),
+    outAttempts: state.outAttempts.filter(mine),
+    trainingCommands: state.trainingCommands.filter(mine),
+    trash: { events: trashOf(state, "events").filter(mine), outAttempts: trashOf(state, "outAttempts").filter(mine) },
+    settings: { ...state.settings, ...dog.settings },
+  };
+}
+
+// Put `mine` back into the slots isMine() held, so other dogs' records (and command order) don't move
+function spliceBack(list, isMine, mine) {
+  let i = 0;
+  const out = [];
+  list.forEach(r => { if (!isMine(r)) out.push(r); else if (i < mine.length) out.push(mine[i++]); });
+  return out.concat(mine.slice(i));
+}
+
+// mutator(dogView) as if the household had one dog; -> whatever the mutator returns
+function withDog(s, dogId, mutator) {
+  const view = dogState(s, dogId), id = view.dog.id;
+  const isMine = (r) => recordDogId(s, r) === id;
+  const result = mutator(view);
+  const tag = (r) => { if (r && !r.dogId) r.dogId = id; return r; };
+  ["events", "outAttempts", "trainingCommands"].forEach(k => { s[k] = spliceBack(s[k], isMine, view[k].map(tag)); });
+  if (!s.trash) s.trash = emptyTrash();
+  TRASHABLE.forEach(k => { s.trash[k] = spliceBack(s.trash[k], isMine, view.trash[k].map(tag)); });
+  view.trainingCommands.forEach(c => (c.sessionHistory || []).forEach(tag));
+  s.activeSession = view.activeSession ? tag(view.activeSession) : view.activeSession;
+  const dog = s.dogs.find(d => d.id === id);
+  Object.keys(view.settings).forEach(k => {
+    if (DOG_SETTING_KEYS.indexOf(k) === -1) s.settings[k] = view.settings[k];
+    else if (dog) dog.settings[k] = view.settings[k];
+  });
+  return result;
+}
+
+// A new profile starts from a copy of `fromDogId`'s schedule settings and no logs or commands
+function addDog(s, fields, fromDogId) {
+  const from = findDog(s, fromDogId);
+  const dog = normalizeDog({ id: uid("dog"), ...fields, settings: from ? JSON.parse(JSON.stringify(from.settings)) : {} }, s.settings);
+  s.dogs.push(dog);
+  return dog;
+}
+
+// Deletes the profile with all of its logs, attempts (trashed ones too) and commands; the last dog can't be removed
+function removeDog(s, dogId) {
+  if (s.dogs.length <= 1) return false;
+  const gone = (r) => recordDogId(s, r) === dogId;
+  const cmdIds = new Set(s.trainingCommands.filter(gone).map(c => c.id));
+  s.events = s.events.filter(r => !gone(r));
+  s.outAttempts = s.outAttempts.filter(r => !gone(r));
+  s.trainingCommands = s.trainingCommands.filter(r => !gone(r));
+  if (s.trash) TRASHABLE.forEach(k => { s.trash[k] = s.trash[k].filter(r => !gone(r)); });
+  if (s.activeSession && cmdIds.has(s.activeSession.commandId)) s.activeSession = null;
+  s.dogs = s.dogs.filter(d => d.id !== dogId);
+  if (s.activeDogId === dogId) s.activeDogId = s.dogs[0].id;
+  return true;
+}
+
+// "9 wk", "5 mo", "2 yr" — or "" without a birthdate
+function dogAge(birthdate, now) {
+  if (!birthdate) return "";
+  const days = Math.floor((now - dateInputToTs(birthdate)) / DAY_MS);
+  if (days < 0) return "";
+  if (days < 16 * 7) return Math.floor(days / 7) + " wk";
+  if (days < 730) return Math.floor(days / 30.44) + " mo";
+  return Math.floor(days / 365.25) + " yr";
+}
+
+function DogAvatar({ dog, size = 24 }) {
+  if (dog.photo) return <img src={dog.photo} alt="" width={size} height={size} className="inline-block rounded-full object-cover align-middle" style={{ width: size, height: size }} />;
+  return <span style={{ fontSize: size * 0.8 }} className="align-middle">{dog.emoji}</span>;
+}
+
+// Shrink a picked photo to a small square JPEG data URL, so it fits in local storage and a text column
+function readPhotoThumb(file, size = 96) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("Could not read the photo."));
+    reader.onload = () => {
+      const img = new Image();
+      img.onerror = () => reject(new Error("That file is not an image."));
+      img.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = canvas.height = size;
+        const side = Math.min(img.width, img.height);
+        canvas.getContext("2d").drawImage(img, (img.width - side) / 2, (img.height - side) / 2, side, side, 0, 0, size, size);
+        resolve(canvas.toDataURL("image/jpeg", 0.8));
+      };
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
 }
 
 // ───────────────────────── Supabase (optional) ─────────────────────────
-let _supabase = null; // lazily created per settings
-function getSupabase(settings) {
+let _supabase = null; // lazily created per URL + key; it also holds the Auth session
+let _supabaseKey = "";
+function supabaseClient(url, anonKey) {
   try {
-    if (!settings || !settings.cloud || !settings.cloud.enabled) return null;
-    const { url, anonKey } = settings.cloud;
     if (!url || !anonKey) return null;
-    if (_supabase) return _supabase;
+    if (_supabase && _supabaseKey === url + "|" + anonKey) return _supabase;
     _supabase = createClient(url, anonKey);
+    _supabaseKey = url + "|" + anonKey;
     return _supabase;
   } catch (e) { return null; }
 }
+// Sync needs a signed-in user who belongs to a family — RLS shows everyone else nothing
+function getSupabase(settings) {
+  if (!settings || !settings.cloud || !settings.cloud.enabled) return null;
+  const { url, anonKey, familyId, userId } = settings.cloud;
+  if (!familyId || !userId) return null;
+  return supabaseClient(url, anonKey);
+}
+// Sync is on for a family but nobody is signed in — a phone that synced before sign-in existed,
+// or whose session ended. Writes keep queueing in the outbox until someone signs in again.
+function cloudNeedsSignIn(settings) {
+  const c = (settings && settings.cloud) || {};
+  return !!(c.enabled && c.familyId && !c.userId);
+}
+
+// Row → local record mappers (shared by cloudFetchAll and realtime payloads).
+// Rows from before dog profiles have no dog_id; leaving the key out keeps the local tag.
+function dogIdFromRow(r) { return r.dog_id ? { dogId: r.dog_id } : {}; }
+function loggedByFromRow(r) { return r.logged_by ? { loggedBy: r.logged_by } : {}; } // likewise rows from before sign-in
+function memberFromRow(m) { return { userId: m.user_id, displayName: m.display_name, role: m.role }; }
+function dogFromRow(d) { return { id: d.id, name: d.name, emoji: d.emoji || undefined, photo: d.photo || undefined, birthdate: d.birthdate || "", updatedAt: d.updated_at || 0 }; }
+function eventFromRow(e) { return { id: e.id, ...dogIdFromRow(e), ...loggedByFromRow(e), type: e.type, at: e.at, endAt: isFiniteTs(e.end_at) ? e.end_at : undefined, note: e.note, details: e.details || undefined, deletedAt: isFiniteTs(e.deleted_at) ? e.deleted_at : undefined, updatedAt: e.updated_at || 0 }; }
+function attemptFromRow(a) { return { id: a.id, ...dogIdFromRow(a), ...loggedByFromRow(a), at: a.at, reason: a.reason, ruleId: a.rule_id || undefined, sourceEventId: a.source_event_id || null, done: !!a.done, dismissed: !!a.dismissed, deletedAt: isFiniteTs(a.deleted_at) ? a.deleted_at : undefined, updatedAt: a.updated_at || 0 }; }
+function commandFromRow(c) { return { id: c.id, ...dogIdFromRow(c), name: c.name, totalSeconds: c.total_seconds||0, learned: !!c.learned, archived: !!c.archived, orderIndex: c.order_index || 0, updatedAt: c.updated_at || 0, sessionHistory: [] }; }
+function activeSessionFromRow(a) { return { id: a.id, ...dogIdFromRow(a), commandId: a.command_id, startedAt: a.started_at, segments: Array.isArray(a.segments) ? a.segments : [], reps: cleanReps(a.reps), updatedAt: a.updated_at || 0 }; }
+function sessionFromRow(s) { return { id: s.id, ...dogIdFromRow(s), ...loggedByFromRow(s), commandId: s.command_id, startedAt: s.started_at, endedAt: s.ended_at, seconds: s.seconds, attempts: s.attempts, successes: s.successes, successRate: s.success_rate, reps: Array.isArray(s.reps) ? s.reps : undefined, updatedAt: s.updated_at || 0 }; }
 
 async function cloudFetchAll(settings) {
   const sb = getSupabase(settings); if (!sb) return null;
   const family = settings.cloud.familyId;
   try {
-    const [{ data: events }, { data: outAttempts }, { data: cmds }, { data: sessions }] = await Promise.all([
+    const { data: auth } = await sb.auth.getSession();
+    if (!auth || !auth.session) { console.warn("cloudFetchAll: not signed in"); return null; }
+    // RLS hides every row from a non-member, and an empty snapshot must not read as remote deletes
+    const { data: members } = cloudOk(await sb.from("family_members").select("*").eq("family_id", family));
+    if (!(members || []).some(m => m.user_id === settings.cloud.userId)) { console.warn("cloudFetchAll: not a member of " + family); return null; }
+    const results = await Promise.all([
       sb.from("events").select("*").eq("family_id", family).order("at", { ascending: true }),
       sb.from("out_attempts").select("*").eq("family_id", family).order("at", { ascending: true }),
-      sb.from("training_commands").select("*").eq("family_id", family).order("created_at", { ascending: true }),
+      sb.from("training_commands").select("*").eq("family_id", family).order("order_index", { ascending: true }).order("created_at", { ascending: true }),
       sb.from("training_sessions").select("*").eq("family_id", family).order("started_at", { ascending: true }),
     ]);
-    const byCmd = {}; (sessions||[]).forEach(s => { (byCmd[s.command_id] ||= []).push({ id: s.id, commandId: s.command_id, startedAt: s.started_at, endedAt: s.ended_at, seconds: s.seconds, attempts: s.attempts, successes: s.successes, successRate: s.success_rate }); });
-    const trainingCommands = (cmds||[]).map(c => ({ id: c.id, name: c.name, totalSeconds: c.total_seconds||0, learned: !!c.learned, sessionHistory: byCmd[c.id] || [] }));
+    // a partial snapshot would look like remote deletes to mergeCloudState — all or nothing
+    results.forEach(cloudOk);
+    const [{ data: events }, { data: outAttempts }, { data: cmds }, { data: sessions }] = results;
+    // the running timer is optional: a project without the active_sessions table still syncs the rest
+    const active = await sb.from("active_sessions").select("*").eq("family_id", family);
+    const dogs = await sb.from("dogs").select("*").eq("family_id", family); // likewise optional
+    const byCmd = {}; (sessions||[]).forEach(s => { (byCmd[s.command_id] ||= []).push(sessionFromRow(s)); });
+    const trainingCommands = (cmds||[]).map(c => ({ ...commandFromRow(c), sessionHistory: byCmd[c.id] || [] }));
     return {
-      events: (events||[]).map(e => ({ id: e.id, type: e.type, at: e.at, note: e.note })),
-      outAttempts: (outAttempts||[]).map(a => ({ id: a.id, at: a.at, reason: a.reason, sourceEventId: a.source_event_id || null, done: !!a.done })),
+      events: (events||[]).map(eventFromRow),
+      outAttempts: (outAttempts||[]).map(attemptFromRow),
       trainingCommands,
+      activeSessions: active.error ? undefined : (active.data || []).map(activeSessionFromRow),
+      dogs: dogs.error ? undefined : (dogs.data || []).map(dogFromRow),
+      members: (members || []).map(memberFromRow),
     };
   } catch (e) { console.warn("cloudFetchAll error", e); return null; }
 }
 
+// Supabase resolves (never rejects) with { error } — turn that into a throw so the outbox can retry
+function cloudOk(res) { if (res && res.error) throw res.error; return res; }
+
+// Inserts are upserts so a retried write that already landed doesn't fail on the primary key.
+// The server only takes logged_by from a real insert, and only as the signed-in user, so an
+// upsert that lands on an existing row keeps its first author (keep_logged_by in the migration).
 const Cloud = {
   async insertEvent(settings, ev) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("events").insert([{ id: ev.id, family_id: settings.cloud.familyId, type: ev.type, at: ev.at, note: ev.note || null }]);
+    cloudOk(await sb.from("events").upsert([{ id: ev.id, family_id: settings.cloud.familyId, dog_id: ev.dogId || null, logged_by: ev.loggedBy || null, type: ev.type, at: ev.at, end_at: isFiniteTs(ev.endAt) ? ev.endAt : null, note: ev.note || null, details: ev.details || null, deleted_at: ev.deletedAt || null, updated_at: ev.updatedAt || null }]));
+  },
+  async updateEvent(settings, ev) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("events").update({ dog_id: ev.dogId || null, type: ev.type, at: ev.at, end_at: isFiniteTs(ev.endAt) ? ev.endAt : null, note: ev.note || null, details: ev.details || null, deleted_at: ev.deletedAt || null, updated_at: ev.updatedAt || null }).eq("id", ev.id).eq("family_id", settings.cloud.familyId));
   },
   async deleteEvent(settings, id) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("events").delete().eq("id", id).eq("family_id", settings.cloud.familyId);
+    cloudOk(await sb.from("events").delete().eq("id", id).eq("family_id", settings.cloud.familyId));
   },
   async insertAttempt(settings, a) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("out_attempts").insert([{ id: a.id, family_id: settings.cloud.familyId, at: a.at, reason: a.reason, source_event_id: a.sourceEventId || null, done: !!a.done }]);
+    cloudOk(await sb.from("out_attempts").upsert([{ id: a.id, family_id: settings.cloud.familyId, dog_id: a.dogId || null, logged_by: a.loggedBy || null, at: a.at, reason: a.reason, rule_id: a.ruleId || null, source_event_id: a.sourceEventId || null, done: !!a.done, dismissed: !!a.dismissed, deleted_at: a.deletedAt || null, updated_at: a.updatedAt || null }]));
   },
   async updateAttempt(settings, a) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("out_attempts").update({ at: a.at, reason: a.reason, source_event_id: a.sourceEventId || null, done: !!a.done }).eq("id", a.id).eq("family_id", settings.cloud.familyId);
+    cloudOk(await sb.from("out_attempts").update({ dog_id: a.dogId || null, at: a.at, reason: a.reason, rule_id: a.ruleId || null, source_event_id: a.sourceEventId || null, done: !!a.done, dismissed: !!a.dismissed, deleted_at: a.deletedAt || null, updated_at: a.updatedAt || null }).eq("id", a.id).eq("family_id", settings.cloud.familyId));
   },
   async deleteAttempt(settings, id) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("out_attempts").delete().eq("id", id).eq("family_id", settings.cloud.familyId);
+    cloudOk(await sb.from("out_attempts").delete().eq("id", id).eq("family_id", settings.cloud.familyId));
   },
   async insertCommand(settings, c) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("training_commands").insert([{ id: c.id, family_id: settings.cloud.familyId, name: c.name, total_seconds: c.totalSeconds||0, learned: !!c.learned }]);
+    cloudOk(await sb.from("training_commands").upsert([{ id: c.id, family_id: settings.cloud.familyId, dog_id: c.dogId || null, name: c.name, total_seconds: c.totalSeconds||0, learned: !!c.learned, archived: !!c.archived, order_index: c.orderIndex || 0, updated_at: c.updatedAt || null }]));
   },
   async updateCommand(settings, c) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("training_commands").update({ name: c.name, total_seconds: c.totalSeconds||0, learned: !!c.learned }).eq("id", c.id).eq("family_id", settings.cloud.familyId);
+    cloudOk(await sb.from("training_commands").update({ dog_id: c.dogId || null, name: c.name, total_seconds: c.totalSeconds||0, learned: !!c.learned, archived: !!c.archived, order_index: c.orderIndex || 0, updated_at: c.updatedAt || null }).eq("id", c.id).eq("family_id", settings.cloud.familyId));
+  },
+  async deleteCommand(settings, id) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("training_commands").delete().eq("id", id).eq("family_id", settings.cloud.familyId));
   },
   async insertSession(settings, s) {
     const sb = getSupabase(settings); if (!sb) return;
-    await sb.from("training_sessions").insert([{ id: s.id, family_id: settings.cloud.familyId, command_id: s.commandId, started_at: s.startedAt, ended_at: s.endedAt||null, seconds: s.seconds||0, attempts: s.attempts||0, successes: s.successes||0, success_rate: s.successRate||0 }]);
+    cloudOk(await sb.from("training_sessions").upsert([{ id: s.id, family_id: settings.cloud.familyId, dog_id: s.dogId || null, logged_by: s.loggedBy || null, command_id: s.commandId, started_at: s.startedAt, ended_at: s.endedAt||null, seconds: s.seconds||0, attempts: s.attempts||0, successes: s.successes||0, success_rate: s.successRate||0, reps: s.reps || null, updated_at: s.updatedAt || null }]));
+  },
+  async updateSession(settings, s) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("training_sessions").update({ dog_id: s.dogId || null, started_at: s.startedAt, ended_at: s.endedAt||null, seconds: s.seconds||0, attempts: s.attempts||0, successes: s.successes||0, success_rate: s.successRate||0, reps: s.reps || null, updated_at: s.updatedAt || null }).eq("id", s.id).eq("family_id", settings.cloud.familyId));
+  },
+  async deleteSession(settings, id) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("training_sessions").delete().eq("id", id).eq("family_id", settings.cloud.familyId));
+  },
+  async upsertActiveSession(settings, a) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("active_sessions").upsert([{ id: a.id, family_id: settings.cloud.familyId, dog_id: a.dogId || null, command_id: a.commandId, started_at: a.startedAt, segments: a.segments || [], reps: a.reps || [], updated_at: a.updatedAt || null }]));
+  },
+  async deleteActiveSession(settings, id) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("active_sessions").delete().eq("id", id).eq("family_id", settings.cloud.familyId));
+  },
+  // Profiles sync name, emoji, photo and birthdate; each phone keeps its own schedule settings per dog
+  async upsertDog(settings, d) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("dogs").upsert([{ id: d.id, family_id: settings.cloud.familyId, name: d.name, emoji: d.emoji || null, photo: d.photo || null, birthdate: d.birthdate || null, updated_at: d.updatedAt || null }]));
+  },
+  async deleteDog(settings, id) {
+    const sb = getSupabase(settings); if (!sb) return;
+    cloudOk(await sb.from("dogs").delete().eq("id", id).eq("family_id", settings.cloud.familyId));
   },
-  subscribeAll(settings, onChange) {
+  // onChange(table, payload) per row change; onResync() once a dropped channel comes back,
+  // since anything that happened while it was down never arrives as a payload
+  subscribeAll(settings, onChange, onResync) {
     const sb = getSupabase(settings); if (!sb) return null;
     const family = settings.cloud.familyId;
-    const chans = [
-      sb.channel("events").on("postgres_changes", { event: "*", schema: "public", table: "events", filter: "family_id=eq."+family }, onChange),
-      sb.channel("out_attempts").on("postgres_changes", { event: "*", schema: "public", table: "out_attempts", filter: "family_id=eq."+family }, onChange),
-      sb.channel("training_commands").on("postgres_changes", { event: "*", schema: "public", table: "training_commands", filter: "family_id=eq."+family }, onChange),
-      sb.channel("training_sessions").on("postgres_changes", { event: "*", schema: "public", table: "training_sessions", filter: "family_id=eq."+family }, onChange),
-    ];
-    chans.forEach(ch => ch.subscribe());
-    return () => { try { chans.forEach(ch => sb.removeChannel(ch)); } catch (_) {} };
+    let resyncTimer = null;
+    const requestResync = () => { if (resyncTimer) clearTimeout(resyncTimer); resyncTimer = setTimeout(() => { resyncTimer = null; if (onResync) onResync(); }, 500); };
+    const chans = ["dogs", "events", "out_attempts", "training_commands", "training_sessions", "active_sessions"].map(table => {
+      let dropped = false;
+      const filter = "family_id=eq." + family;
+      // Realtime can't filter DELETEs (under RLS the old row carries only its key), so they come in
+      // unfiltered and applyCloudChange matches them by id; a key naming another family is skipped
+      const onDelete = (payload) => { const old = payload.old || {}; if (!old.family_id || old.family_id === family) onChange(table, payload); };
+      const ch = sb.channel(table)
+        .on("postgres_changes", { event: "INSERT", schema: "public", table, filter }, (payload) => onChange(table, payload))
+        .on("postgres_changes", { event: "UPDATE", schema: "public", table, filter }, (payload) => onChange(table, payload))
+        .on("postgres_changes", { event: "DELETE", schema: "public", table }, onDelete);
+      ch.subscribe((status) => {
+        if (status === "SUBSCRIBED") { if (dropped) requestResync(); dropped = false; }
+        else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT" || status === "CLOSED") dropped = true;
+      });
+      return ch;
+    });
+    return () => { if (resyncTimer) clearTimeout(resyncTimer); try { chans.forEach(ch => sb.removeChannel(ch)); } catch (_) {} };
   }
 };
 
-// ────────────────────────────────────────────────────────────────────────────────
-// UI — Primitives
+// Sign-in and family membership. These run from Settings before sync is on, so they take the
+// connection fields rather than settings. Families are only created and joined through the
+// security-definer functions in the setup SQL; the tables themselves are read-only to members.
+const CloudAuth = {
+  client(url, anonKey) {
+    const sb = supabaseClient(url, anonKey);
+    if (!sb) throw new Error("Enter the Supabase URL and anon key first.");
+    return sb;
+  },
+  async signIn(url, anonKey, email, password) {
+    const { data, error } = await CloudAuth.client(url, anonKey).auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return data.user;
+  },
+  async signUp(url, anonKey, email, password) {
+    const { data, error } = await CloudAuth.client(url, anonKey).auth.signUp({ email, password });
+    if (error) throw error;
+    if (!data.session) throw new Error("Account created — confirm it from the email Supabase sent, then sign in.");
+    return data.user;
+  },
+  async signOut(url, anonKey) {
+    cloudOk(await CloudAuth.client(url, anonKey).auth.signOut());
+  },
+  // -> { familyId, displayName } of the first family the user joined, or null
+  async myFamily(url, anonKey, userId) {
+    const { data } = cloudOk(await CloudAuth.client(url, anonKey).from("family_members").select("*").eq("user_id", userId).order("joined_at", { ascending: true }).limit(1));
+    const row = (data || [])[0];
+    return row ? { familyId: row.family_id, displayName: row.display_name } : null;
+  },
+  async listMembers(url, anonKey, familyId) {
+    const { data } = cloudOk(await CloudAuth.client(url, anonKey).from("family_members").select("*").eq("family_id", familyId).order("joined_at", { ascending: true }));
+    return (data || []).map(memberFromRow);
+  },
+  // claimId adopts a Family ID that already has rows from before sign-in, which takes the
+  // one-time claimCode the project owner issues in the SQL editor; -> the family id
+  async createFamily(url, anonKey, familyName, memberName, claimId, claimCode) {
+    return cloudOk(await CloudAuth.client(url, anonKey).rpc("create_family", { family_name: familyName, member_name: memberName, claim_id: claimId || null, claim_code: claimCode || null })).data;
+  },
+  async joinFamily(url, anonKey, code, memberName) {
+    return cloudOk(await CloudAuth.client(url, anonKey).rpc("join_family", { invite_code: code, member_name: memberName })).data;
+  },
+  // -> a one-time code, valid for a week
+  async createInvite(url, anonKey, familyId) {
+    return cloudOk(await CloudAuth.client(url, anonKey).rpc("create_invite", { fid: familyId })).data;
+  },
+};
 
-function Section({ title, children }) {
-  return (
-    <div className="mt-6">
-      <h3 className="text-lg font-semibold mb-2">{title}</h3>
-      <div className="space-y-2">{children}</div>
-    </div>
-  );
+// ───────────────────────── Cloud outbox (durable, ordered write queue) ─────────────────────────
+// Every cloud mutation is queued here first and persisted under OUTBOX_KEY, so a write made
+// offline survives reloads. Ops are applied strictly in order; a head op that fails for a
+// passing reason (offline, timeout, server error) is retried with exponential backoff and
+// blocks the ones behind it (e.g. an attempt before its water). One the cloud rejects outright
+// would fail the same way forever, so it moves to `dead` (shown in the sync status) and the
+// queue carries on. The Supabase client comes from the settings at flush time, so each op
+// remembers the family it was queued for and never lands in another one.
+// Shape: { ops: [{ id, kind, payload, familyId, tries, nextAt, queuedAt }], dead: [op + { failedAt, error }], lastSyncAt, lastError }
+
+const OUTBOX_BASE_DELAY = 2000;
+const OUTBOX_MAX_DELAY = 5 * 60 * 1000;
+const OUTBOX_DEAD_MAX = 50; // keep the newest rejected ops for the sync status
+let _outboxFlushing = false;
+let _outboxTimer = null;
+const _syncListeners = new Set();
+
+function emptyOutbox() { return { ops: [], dead: [], lastSyncAt: null, lastError: null }; }
+function loadOutbox() {
+  const raw = getStore().getItem(OUTBOX_KEY);
+  if (!raw) return emptyOutbox();
+  try {
+    const o = JSON.parse(raw);
+    return { ...emptyOutbox(), ...o, ops: Array.isArray(o && o.ops) ? o.ops : [], dead: Array.isArray(o && o.dead) ? o.dead : [] };
+  } catch { return emptyOutbox(); }
+}
+function saveOutbox(o) {
+  try { getStore().setItem(OUTBOX_KEY, JSON.stringify(o)); } catch (_) {}
+  _syncListeners.forEach(fn => { try { fn(o); } catch (_) {} });
 }
+function onSyncStatus(fn) { _syncListeners.add(fn); return () => { _syncListeners.delete(fn); }; }
 
-function PillButton({ label, onClick }) {
-  return (
-    <button onClick={onClick} className="px-4 py-3 rounded-2xl bg-gray-100 hover:bg-gray-200 active:bg-gray-300 transition font-medium w-full text-left">
-      {label}
-    </button>
-  );
+function outboxBackoff(tries) {
+  if (!(tries > 0)) return 0;
+  return Math.min(OUTBOX_MAX_DELAY, OUTBOX_BASE_DELAY * Math.pow(2, tries - 1));
 }
 
-// ────────────────────────────────────────────────────────────────────────────────
-// Tabs Shell
+// Queue a Cloud.<kind>(settings, payload) call. No-op when Cloud Sync is off.
+function queueCloud(settings, kind, payload) {
+  if (!settings || !settings.cloud || !settings.cloud.enabled) return;
+  if (typeof Cloud[kind] !== "function") return;
+  const o = loadOutbox();
+  // snapshot the payload: mutators keep editing the same objects after queueing
+  o.ops.push({ id: uid("op"), kind, payload: JSON.parse(JSON.stringify(payload)), familyId: settings.cloud.familyId, tries: 0, nextAt: 0, queuedAt: Date.now() });
+  saveOutbox(o);
+  scheduleOutboxFlush(0);
+}
 
-export default function App() {
-  const [tab, setTab] = useState("logs");
-  const [state, setState] = useState(() => defaultState());
+function scheduleOutboxFlush(delay) {
+  if (_outboxTimer) clearTimeout(_outboxTimer);
+  _outboxTimer = setTimeout(() => { _outboxTimer = null; flushOutbox(); }, Math.max(0, delay || 0));
+}
 
-  useEffect(() => {
-    const first = loadState();
-    setState(first);
+// Rejections that fail the same way on every retry: bad data (Postgres 22…), constraint and
+// foreign-key violations (23…), permissions, RLS and schema mismatches (42…), exceptions raised
+// by the setup SQL (P0…) and PostgREST request errors (PGRST1xx/2xx). Network failures, timeouts,
+// server errors and expired sessions (PGRST3xx) are worth retrying.
+function isPermanentCloudError(e) {
+  if (e && e.permanent) return true;
+  const code = e && typeof e.code === "string" ? e.code : "";
+  return /^(22|23|42|P0)/.test(code) || /^PGRST[12]/.test(code);
+}
 
-    (async () => {
-      const cloudData = await cloudFetchAll(first.settings);
-      if (cloudData) setState(s => ({ ...s, ...cloudData }));
-    })();
+// -> the outbox after op `id` ran (error = what it threw, if anything). Success drops it; a
+// permanent failure moves it to `dead`; anything else keeps it at the head, backing off.
+function settleOutboxOp(o, id, error, now) {
+  const op = o.ops.find(x => x.id === id);
+  if (!error) {
+    o.ops = o.ops.filter(x => x !== op);
+    o.lastSyncAt = now; o.lastError = null;
+    return o;
+  }
+  const message = error.message ? error.message : String(error);
+  o.lastError = { at: now, kind: op ? op.kind : "", message };
+  if (!op) return o;
+  if (isPermanentCloudError(error)) {
+    o.ops = o.ops.filter(x => x !== op);
+    o.dead = o.dead.concat({ ...op, failedAt: now, error: message }).slice(-OUTBOX_DEAD_MAX);
+  } else {
+    op.tries = (op.tries || 0) + 1;
+    op.nextAt = now + outboxBackoff(op.tries);
+  }
+  return o;
+}
 
-    let unsub = null;
-    if (first.settings.cloud && first.settings.cloud.enabled) {
-      unsub = Cloud.subscribeAll(first.settings, async () => {
-        const latest = await cloudFetchAll(first.settings);
-        if (latest) setState(s => ({ ...s, ...latest }));
-      });
-    }
+// Once a write has landed the cloud owns the record: if it later vanishes remotely, another
+// phone deleted it. -> whether anything was stamped
+function markSynced(s, id, now) {
+  let stamped = false;
+  [].concat(s.dogs || [], withTrash(s, "events"), withTrash(s, "outAttempts"), s.trainingCommands, allSessions(s), s.activeSession || [])
+    .forEach(r => { if (r && r.id === id && !r.syncedAt) { r.syncedAt = now; stamped = true; } });
+  return stamped;
+}
 
-    if (hasWindow() && storageAvailable()) {
-      const onStorage = (e) => { if (e.key === LS_KEY && e.newValue) setState(JSON.parse(e.newValue)); };
-      window.addEventListener("storage", onStorage);
-      return () => { window.removeEventListener("storage", onStorage); if (unsub) unsub(); };
+async function flushOutbox() {
+  if (_outboxFlushing) return;
+  _outboxFlushing = true;
+  try {
+    const settings = loadState().settings;
+    if (!getSupabase(settings)) return;
+    if (hasWindow() && window.navigator && window.navigator.onLine === false) return; // the "online" listener retries
+    for (;;) {
+      const op = loadOutbox().ops[0];
+      if (!op) break;
+      const wait = (op.nextAt || 0) - Date.now();
+      if (wait > 0) { scheduleOutboxFlush(wait); break; }
+      let error = null;
+      try {
+        if (op.familyId && op.familyId !== settings.cloud.familyId) throw Object.assign(new Error("Queued for another family"), { permanent: true });
+        await Cloud[op.kind](settings, op.payload);
+        if (op.payload && typeof op.payload === "object") {
+          const s = loadState();
+          if (markSynced(s, op.payload.id, Date.now())) saveState(s);
+        }
+      } catch (e) { error = e || new Error("Unknown error"); }
+      const o = settleOutboxOp(loadOutbox(), op.id, error, Date.now()); // re-read: more ops may have been queued while awaiting
+      saveOutbox(o);
+      const head = o.ops.find(x => x.id === op.id);
+      if (head) { scheduleOutboxFlush(head.nextAt - Date.now()); break; }
     }
-    return () => { if (unsub) unsub(); };
-  }, []);
-
-  function commit(mutator) { const next = update(mutator); setState(next); }
-  function navBtnClass(active) { return "px-3 py-2 rounded-xl border" + (active ? " bg-black text-white" : " bg-gray-50 hover:bg-gray-100"); }
+  } finally { _outboxFlushing = false; }
+}
 
-  return (
-    <div className="min-h-screen bg-white text-gray-900">
-      <div className="max-w-3xl mx-auto px-4 py-6">
-        <h1 className="text-2xl font-bold">Rue Tracker (Web)</h1>
-        <nav className="mt-4 flex gap-2">
-          {["logs","schedule","training","settings"].map((k) => (
-            <button key={k} onClick={() => setTab(k)} className={navBtnClass(tab === k)}>{k[0].toUpperCase()+k.slice(1)}</button>
-          ))}
-        </nav>
+// Manual "Retry now": drop any backoff wait and flush immediately
+function retryOutboxNow() {
+  const o = loadOutbox();
+  o.ops.forEach(op => { op.nextAt = 0; });
+  saveOutbox(o);
+  scheduleOutboxFlush(0);
+}
 
-        {tab === "logs" && <LogsView state={state} commit={commit} />}
-        {tab === "schedule" && <ScheduleView state={state} commit={commit} />}
-        {tab === "training" && <TrainingView state={state} commit={commit} />}
-        {tab === "settings" && <SettingsView state={state} commit={commit} />}
+// Rejected ops: send them again (after whatever is queued now), or let them go. Dropping one
+// loses nothing local; the next full sync uploads any record the cloud still lacks.
+function retryDeadOps() {
+  const o = loadOutbox();
+  o.ops = o.ops.concat(o.dead.map(({ failedAt, error, ...op }) => ({ ...op, tries: 0, nextAt: 0 })));
+  o.dead = [];
+  saveOutbox(o);
+  scheduleOutboxFlush(0);
+}
+function discardDeadOps() {
+  const o = loadOutbox();
+  o.dead = [];
+  saveOutbox(o);
+}
 
-        <footer className="mt-10 text-xs text-gray-500">Data is stored locally in your browser (and optionally synced to your Supabase project).</footer>
-      </div>
-    </div>
-  );
+function useSyncStatus() {
+  const [status, setStatus] = useState(() => loadOutbox());
+  useEffect(() => {
+    const off = onSyncStatus(setStatus);
+    if (!hasWindow()) return off;
+    // another tab flushing the same outbox
+    const onStorage = (e) => { if (e.key === OUTBOX_KEY) setStatus(loadOutbox()); };
+    window.addEventListener("storage", onStorage);
+    return () => { off(); window.removeEventListener("storage", onStorage); };
+  }, []);
+  return status;
 }
 
-// ────────────────────────────────────────────────────────────────────────────────
-// Logs (ascending order + edit + export)
+// ───────────────────────── Local ⇄ cloud reconciliation ─────────────────────────
+// Records merge by id, last-writer-wins on updatedAt (ties go to the cloud). A local-only
+// record the cloud has never seen (no syncedAt) is queued for upload — that is how turning
+// sync on uploads existing history. One it has seen but no longer returns was deleted on
+// another phone and is dropped. Ids with ops still in the outbox always keep the local side.
 
-function LogsView({ state, commit }) {
-  const quick = [
-    { label: "🐕💦 Pee", type: "pee" },
-    { label: "💩 Poop", type: "poop" },
-    { label: "😴 Sleep", type: "sleep" },
-    { label: "💧 Water", type: "water" },
-    { label: "🚽 Pee attempt", type: "pee_attempt" },
-    { label: "🎓 Training", type: "training" },
-  ];
+function pendingOutboxIds() {
+  const upserts = new Set(), deletes = new Set();
+  loadOutbox().ops.forEach(op => {
+    if (typeof op.payload === "string") deletes.add(op.payload);
+    else if (op.payload && op.payload.id) upserts.add(op.payload.id);
+  });
+  return { upserts, deletes };
+}
 
-  // Edit state
-  const [editingId, setEditingId] = useState(null);
-  const [editingVal, setEditingVal] = useState("");
+// onPush(record, isNew) is called for local records the cloud is missing or has older
+function mergeById(localList, cloudList, pending, now, onPush) {
+  const out = [];
+  const cloudById = new Map((cloudList || []).map(c => [c.id, c]));
+  const seen = new Set();
+  (localList || []).forEach(l => {
+    if (!l || !l.id || seen.has(l.id)) return;
+    seen.add(l.id);
+    const c = cloudById.get(l.id);
+    if (!c) {
+      if (pending.upserts.has(l.id)) out.push(l);
+      else if (!l.syncedAt) { out.push(l); onPush(l, true); }
+      return; // seen by the cloud before → deleted remotely
+    }
+    if (pending.upserts.has(l.id)) { out.push(l); return; }
+    if ((l.updatedAt || 0) > (c.updatedAt || 0)) { out.push(l); onPush(l, false); return; }
+    out.push({ ...l, ...c, syncedAt: l.syncedAt || now });
+  });
+  (cloudList || []).forEach(c => {
+    if (seen.has(c.id) || pending.deletes.has(c.id)) return;
+    out.push({ ...c, syncedAt: now });
+  });
+  return out;
+}
 
-  function startEdit(ev) { setEditingId(ev.id); setEditingVal(tsToLocalInput(ev.at)); }
-  function cancelEdit() { setEditingId(null); setEditingVal(""); }
-  function saveEdit(id) {
-    const ts = localInputToTs(editingVal);
-    commit((s) => { const e = s.events.find(x => x.id === id); if (e) e.at = ts; });
-    setEditingId(null); setEditingVal("");
-  }
+function mergeCloudState(local, cloud, pending, now) {
+  const push = { dogs: [], events: [], outAttempts: [], trainingCommands: [], sessions: [], active: [] };
+  const queue = (list, insertKind, updateKind) => (r, isNew) => list.push({ kind: isNew ? insertKind : updateKind, payload: r });
 
-  function log(type) {
-    const ev = { id: uid("ev"), type, at: Date.now() };
-    commit((s) => {
-      s.events.push(ev);
-      if (s.settings.cloud && s.settings.cloud.enabled) { Cloud.insertEvent(s.settings, ev); }
-      if (type === "water") { ensurePeeAttemptAfterWater(s, ev); if (s.settings.cloud && s.settings.cloud.enabled) { const a = s.outAttempts.find(x=>x.sourceEventId===ev.id); if (a) Cloud.insertAttempt(s.settings, a); } }
-      if (type === "pee") { s.outAttempts = s.outAttempts.filter(a => !(a.reason === "pee" && !a.done)); }
-    });
-    if (type === "water" && hasWindow()) alert("Logged water. Scheduled a Pee attempt in 1h 20m (unless one is already pending).");
+  // undefined cloud side = no dogs table yet, keep ours; never end up with no profile at all
+  let dogs = local.dogs || [];
+  if (cloud.dogs) {
+    const merged = mergeById(dogs, cloud.dogs, pending, now, queue(push.dogs, "upsertDog", "upsertDog"));
+    if (merged.length) dogs = merged;
   }
 
-  function deleteEvent(id) {
-    commit((s) => {
-      const ev = s.events.find(e => e.id === id);
-      s.events = s.events.filter(e => e.id !== id);
-      if (s.settings.cloud && s.settings.cloud.enabled) { Cloud.deleteEvent(s.settings, id); }
-      if (ev && ev.type === "water") {
-        const toDelete = s.outAttempts.filter(a => a.sourceEventId === id).map(a => a.id);
-        s.outAttempts = s.outAttempts.filter(a => a.sourceEventId !== id);
-        if (s.settings.cloud && s.settings.cloud.enabled) { toDelete.forEach(aid => Cloud.deleteAttempt(s.settings, aid)); }
+  // trashed rows are still rows: merge them with the live ones, then split on deletedAt
+  const logs = { trash: emptyTrash() };
+  splitTrash(logs, "events", mergeById(withTrash(local, "events"), cloud.events, pending, now, queue(push.events, "insertEvent", "updateEvent")));
+  splitTrash(logs, "outAttempts", mergeById(withTrash(local, "outAttempts"), cloud.outAttempts, pending, now, queue(push.outAttempts, "insertAttempt", "updateAttempt")));
+  const { events, outAttempts, trash } = logs;
+
+  // Both phones start with their own default "Sit"/"Down": adopt the cloud copy of an
+  // untouched, never-synced command instead of uploading a duplicate.
+  const cmdKey = (c) => recordDogId(local, c) + "|" + (c.name || "").trim().toLowerCase();
+  const cloudNames = new Set((cloud.trainingCommands || []).map(cmdKey));
+  const localCmds = (local.trainingCommands || []).filter(c => !(c && !c.syncedAt && !(c.sessionHistory || []).length && cloudNames.has(cmdKey(c))));
+
+  const cloudCmdById = new Map((cloud.trainingCommands || []).map(c => [c.id, c]));
+  const localCmdById = new Map(localCmds.map(c => [c.id, c]));
+  const trainingCommands = mergeById(localCmds, cloud.trainingCommands, pending, now, queue(push.trainingCommands, "insertCommand", "updateCommand"))
+    .map(cmd => {
+      const l = localCmdById.get(cmd.id), c = cloudCmdById.get(cmd.id);
+      const sessionHistory = mergeById(l ? l.sessionHistory : [], c ? c.sessionHistory : [], pending, now, queue(push.sessions, "insertSession", "updateSession"))
+        .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+      return { ...cmd, sessionHistory };
+    })
+    .map((cmd, i) => ({ cmd, i }))
+    .sort((a, b) => (isFiniteTs(a.cmd.orderIndex) ? a.cmd.orderIndex : a.i) - (isFiniteTs(b.cmd.orderIndex) ? b.cmd.orderIndex : b.i) || a.i - b.i)
+    .map(({ cmd }, i) => ({ ...cmd, orderIndex: i }));
+
+  // At most one running timer per family; undefined cloud side = table not set up, keep ours
+  let activeSession = local.activeSession || null;
+  if (cloud.activeSessions) {
+    const merged = mergeById(activeSession ? [activeSession] : [], cloud.activeSessions, pending, now, queue(push.active, "upsertActiveSession", "upsertActiveSession"))
+      .filter(a => trainingCommands.some(c => c.id === a.commandId))
+      .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+    activeSession = merged[0] || null;
+  }
+
+  // parents before children so the foreign keys hold
+  return {
+    dogs, events, outAttempts, trash, trainingCommands, activeSession,
+    push: [].concat(push.dogs, push.events, push.outAttempts, push.trainingCommands, push.sessions, push.active),
+  };
+}
+
+// Fetch, reconcile, persist and queue uploads. Resolves to the saved state, or null if the fetch failed.
+async function syncFromCloud(settings) {
+  const pendingBefore = pendingOutboxIds(); // ops that land mid-fetch must still count as pending
+  const cloudData = await cloudFetchAll(settings);
+  if (!cloudData) return null;
+  const pendingAfter = pendingOutboxIds();
+  const pending = {
+    upserts: new Set([...pendingBefore.upserts, ...pendingAfter.upserts]),
+    deletes: new Set([...pendingBefore.deletes, ...pendingAfter.deletes]),
+  };
+  return update((s) => {
+    const merged = mergeCloudState(s, cloudData, pending, Date.now());
+    s.dogs = merged.dogs;
+    s.events = merged.events;
+    s.outAttempts = merged.outAttempts;
+    s.trash = merged.trash;
+    s.trainingCommands = merged.trainingCommands;
+    s.activeSession = merged.activeSession;
+    s.members = cloudData.members;
+    merged.push.forEach(p => queueCloud(s.settings, p.kind, p.payload));
+  });
+}
+
+// Apply one postgres_changes payload in place, with the same rules as mergeCloudState:
+// ids with pending outbox ops keep the local side and older rows never replace newer ones.
+// Returns a short description for rows another phone added (our own echoes are already known).
+function applyCloudChange(state, table, payload, pending, now) {
+  const type = payload && payload.eventType;
+  const row = type === "DELETE" ? payload.old : payload && payload.new;
+  if (!row || !row.id || pending.upserts.has(row.id) || pending.deletes.has(row.id)) return null;
+
+  const upsertInto = (list, rec) => {
+    const i = list.findIndex(x => x && x.id === rec.id);
+    if (i === -1) { list.push({ ...rec, syncedAt: now }); return true; }
+    if ((list[i].updatedAt || 0) > (rec.updatedAt || 0)) return false;
+    list[i] = { ...list[i], ...rec, syncedAt: list[i].syncedAt || now };
+    return false;
+  };
+
+  if (table === "dogs") {
+    if (type === "DELETE") { if (state.dogs.length > 1) state.dogs = state.dogs.filter(d => d.id !== row.id); return null; }
+    const dog = dogFromRow(row);
+    const isNew = upsertInto(state.dogs, dog);
+    return isNew && type === "INSERT" ? dog.name + " was added on the other phone" : null;
+  }
+  if (table === "events") {
+    const all = withTrash(state, "events");
+    if (type === "DELETE") { splitTrash(state, "events", all.filter(e => e.id !== row.id)); return null; }
+    const ev = eventFromRow(row);
+    const isNew = upsertInto(all, ev);
+    splitTrash(state, "events", all); // a deleted_at change moves it in or out of the trash
+    return isNew && type === "INSERT" && !ev.deletedAt ? (TYPE_LABEL[ev.type] || ev.type) + " logged on the other phone at " + fmtTime(ev.at) : null;
+  }
+  if (table === "out_attempts") {
+    const all = withTrash(state, "outAttempts");
+    if (type === "DELETE") { splitTrash(state, "outAttempts", all.filter(a => a.id !== row.id)); return null; }
+    upsertInto(all, attemptFromRow(row));
+    splitTrash(state, "outAttempts", all);
+    return null;
+  }
+  if (table === "training_commands") {
+    if (type === "DELETE") { state.trainingCommands = state.trainingCommands.filter(c => c.id !== row.id); return null; }
+    const rec = commandFromRow(row);
+    delete rec.sessionHistory; // sessions arrive on their own channel
+    const isNew = upsertInto(state.trainingCommands, rec);
+    const added = state.trainingCommands.find(c => c.id === rec.id);
+    if (added && !added.sessionHistory) added.sessionHistory = [];
+    state.trainingCommands.sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0));
+    return isNew ? "Command \"" + rec.name + "\" added on the other phone" : null;
+  }
+  if (table === "training_sessions") {
+    if (type === "DELETE") {
+      state.trainingCommands.forEach(c => { c.sessionHistory = (c.sessionHistory || []).filter(x => x.id !== row.id); });
+      return null;
+    }
+    const sess = sessionFromRow(row);
+    const cmd = state.trainingCommands.find(c => c.id === sess.commandId);
+    if (!cmd) return null; // command not here yet — the next full resync picks it up
+    const isNew = upsertInto(cmd.sessionHistory, sess);
+    cmd.sessionHistory.sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+    return isNew && type === "INSERT" ? cmd.name + " training saved on the other phone at " + fmtTime(sess.endedAt || sess.startedAt) : null;
+  }
+  if (table === "active_sessions") {
+    const cur = state.activeSession;
+    if (type === "DELETE") { if (cur && cur.id === row.id) state.activeSession = null; return null; }
+    const rec = activeSessionFromRow(row);
+    const cmd = state.trainingCommands.find(c => c.id === rec.commandId);
+    if (!cmd) return null;
+    if (cur && cur.id === rec.id) {
+      if ((cur.updatedAt || 0) <= (rec.updatedAt || 0)) state.activeSession = { ...cur, ...rec, syncedAt: cur.syncedAt || now };
+      return null;
+    }
+    state.activeSession = { ...rec, syncedAt: now };
+    return type === "INSERT" ? cmd.name + " training started on the other phone" : null;
+  }
+  return null;
+}
+
+// ───────────────────────── Mutation layer ─────────────────────────
+// The one write path for user actions. A view's mutator edits a fresh copy of the state;
+// mutate() then diffs it against what was stored, stamps updatedAt on everything that
+// changed and queues the matching cloud ops — views never talk to Cloud directly.
+
+const SYNC_META = ["updatedAt", "syncedAt"];
+function recordSig(rec, omit) {
+  const out = {};
+  Object.keys(rec || {}).sort().forEach(k => { if (SYNC_META.indexOf(k) === -1 && (!omit || omit.indexOf(k) === -1)) out[k] = rec[k]; });
+  return JSON.stringify(out);
+}
+
+// -> { upserts: [{ kind, payload }], deletes: [{ kind, payload }] } for one collection
+function diffRecords(beforeList, afterList, kinds, omit) {
+  const before = new Map((beforeList || []).filter(Boolean).map(r => [r.id, r]));
+  const upserts = [], deletes = [], kept = new Set();
+  (afterList || []).forEach(r => {
+    if (!r || !r.id) return;
+    kept.add(r.id);
+    const prev = before.get(r.id);
+    if (!prev) upserts.push({ kind: kinds.insert, payload: r });
+    else if (recordSig(prev, omit) !== recordSig(r, omit)) upserts.push({ kind: kinds.update, payload: r });
+  });
+  before.forEach((r, id) => { if (!kept.has(id)) deletes.push({ kind: kinds.remove, payload: id }); });
+  return { upserts, deletes };
+}
+
+function allSessions(state) {
+  return [].concat(...(state.trainingCommands || []).map(c => c.sessionHistory || []));
+}
+
+// Cloud ops turning `before` into `after`, ordered for the foreign keys:
+// parents are written before children, children are deleted before parents.
+function diffForCloud(before, after) {
+  const ev = diffRecords(withTrash(before, "events"), withTrash(after, "events"), { insert: "insertEvent", update: "updateEvent", remove: "deleteEvent" });
+  const out = diffRecords(withTrash(before, "outAttempts"), withTrash(after, "outAttempts"), { insert: "insertAttempt", update: "updateAttempt", remove: "deleteAttempt" });
+  const cmd = diffRecords(before.trainingCommands, after.trainingCommands, { insert: "insertCommand", update: "updateCommand", remove: "deleteCommand" }, ["sessionHistory"]);
+  const sess = diffRecords(allSessions(before), allSessions(after), { insert: "insertSession", update: "updateSession", remove: "deleteSession" });
+  const one = (a) => (a ? [a] : []);
+  const act = diffRecords(one(before.activeSession), one(after.activeSession), { insert: "upsertActiveSession", update: "upsertActiveSession", remove: "deleteActiveSession" });
+  const dog = diffRecords(before.dogs, after.dogs, { insert: "upsertDog", update: "upsertDog", remove: "deleteDog" }, ["settings"]);
+  return [].concat(
+    dog.upserts, ev.upserts, cmd.upserts, out.upserts, sess.upserts, act.upserts,
+    act.deletes, sess.deletes, out.deletes, cmd.deletes, ev.deletes, dog.deletes,
+  );
+}
+
+// New logs remember which signed-in caregiver made them; edits keep the original author
+const ATTRIBUTED_INSERTS = ["insertEvent", "insertAttempt", "insertSession"];
+
+// Stamps the records behind `ops` in place (they are the state's own objects) and returns ops
+function stampCloudOps(ops, now, userId) {
+  ops.forEach(op => {
+    if (typeof op.payload !== "object") return;
+    op.payload.updatedAt = now;
+    if (userId && ATTRIBUTED_INSERTS.indexOf(op.kind) !== -1 && !op.payload.loggedBy) op.payload.loggedBy = userId;
+  });
+  return ops;
+}
+
+// Who logged a record: the member's name, `self` for this phone's user when given, "someone"
+// for a caregiver who has left the family, and "" for records from before sign-in
+function loggedByName(state, userId, self) {
+  if (!userId) return "";
+  const cloud = state.settings.cloud || {};
+  if (self && userId === cloud.userId) return self;
+  const m = (state.members || []).find(x => x.userId === userId);
+  return m ? m.displayName : "someone";
+}
+
+function mutate(mutator) {
+  const before = loadState();
+  const s = loadState(); // independent copy for the mutator to edit
+  mutator(s);
+  s.trainingCommands.forEach((c, i) => { c.orderIndex = i; });
+  const now = Date.now();
+  const ops = stampCloudOps(diffForCloud(before, s), now, s.settings.cloud && s.settings.cloud.userId);
+  ops.forEach(op => queueCloud(s.settings, op.kind, op.payload));
+  saveState(s);
+  return s;
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// UI — Primitives
+
+function Section({ title, children }) {
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold mb-2">{title}</h3>
+      <div className="space-y-2">{children}</div>
+    </div>
+  );
+}
+
+function PillButton({ label, onClick, active }) {
+  const tone = active ? " bg-black text-white" : " bg-gray-100 hover:bg-gray-200 active:bg-gray-300";
+  return (
+    <button onClick={onClick} className={"px-4 py-3 rounded-2xl transition font-medium w-full text-left" + tone}>
+      {label}
+    </button>
+  );
+}
+
+function Toast({ toast, onClose }) {
+  if (!toast) return null;
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded-xl bg-black text-white text-sm shadow-lg flex items-center gap-3">
+      <span>{toast.text}</span>
+      {toast.undo && <button className="font-semibold text-yellow-300 hover:text-yellow-200" onClick={toast.undo}>Undo</button>}
+      <button className="text-gray-300 hover:text-white" onClick={onClose}>✕</button>
+    </div>
+  );
+}
+
+function SyncIndicator({ settings }) {
+  const status = useSyncStatus();
+  if (!settings.cloud || !settings.cloud.enabled) return null;
+  const pending = status.ops.length;
+  const offline = hasWindow() && window.navigator && window.navigator.onLine === false;
+  if (cloudNeedsSignIn(settings)) {
+    return (
+      <div className="mt-2 px-3 py-2 rounded-xl border text-xs bg-amber-50 border-amber-200">
+        <span className="font-medium">🔒 Sign in under Settings → Cloud Sync to resume syncing</span>
+        {pending > 0 && <span> — {pending} change{pending === 1 ? "" : "s"} waiting</span>}
+      </div>
+    );
+  }
+  const dead = status.dead.length;
+  const tone = (status.lastError && pending) || dead ? " bg-amber-50 border-amber-200" : " bg-gray-50";
+  return (
+    <div className={"mt-2 px-3 py-2 rounded-xl border text-xs flex flex-wrap items-center gap-x-3 gap-y-1" + tone}>
+      <span className="font-medium">{pending ? "⏳ " + pending + " change" + (pending === 1 ? "" : "s") + " waiting to sync" : dead ? "☁️ Everything else synced" : "☁️ All changes synced"}</span>
+      {offline && <span>📴 Offline</span>}
+      <span className="text-gray-600">Last sync: {status.lastSyncAt ? fmtDateTime(status.lastSyncAt) : "never"}</span>
+      {status.lastError && pending > 0 && <span className="text-amber-800">Last error: {status.lastError.message}</span>}
+      {pending > 0 && <button className="px-2 py-0.5 rounded-lg border bg-white" onClick={retryOutboxNow}>Retry now</button>}
+      {dead > 0 && (
+        <div className="w-full flex flex-wrap items-center gap-x-3 gap-y-1">
+          <span className="text-red-700">⚠️ The cloud rejected {dead} change{dead === 1 ? "" : "s"} — latest: {status.dead[dead - 1].error}</span>
+          <button className="px-2 py-0.5 rounded-lg border bg-white" onClick={retryDeadOps}>Send again</button>
+          <button className="px-2 py-0.5 rounded-lg border bg-white" onClick={discardDeadOps}>Dismiss</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Tabs Shell
+
+export default function App() {
+  const [tab, setTab] = useState("logs");
+  const [state, setState] = useState(() => defaultState());
+  const [toast, setToast] = useState(null); // { id, text }
+
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), 5000);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  useEffect(() => {
+    const first = loadState();
+    setState(first);
+    flushOutbox();
+
+    const onOnline = () => { retryOutboxNow(); };
+    if (hasWindow()) window.addEventListener("online", onOnline);
+
+    if (hasWindow() && storageAvailable()) {
+      const onStorage = (e) => { if (e.key === LS_KEY && e.newValue) setState(loadState()); };
+      window.addEventListener("storage", onStorage);
+      return () => { window.removeEventListener("storage", onStorage); window.removeEventListener("online", onOnline); };
+    }
+    return () => { if (hasWindow()) window.removeEventListener("online", onOnline); };
+  }, []);
+
+  // Cloud: full reconcile when sync is turned on (or its credentials change) and after a
+  // realtime reconnect; in between, each row change is applied straight from its payload
+  const cloud = state.settings.cloud || {};
+  const cloudKey = cloud.enabled ? [cloud.url, cloud.anonKey, cloud.familyId, cloud.userId].join("|") : "";
+  useEffect(() => {
+    if (!cloudKey) return;
+    const settings = loadState().settings;
+    let cancelled = false;
+    const resync = async () => { const next = await syncFromCloud(settings); if (next && !cancelled) setState(next); };
+    const onChange = (table, payload) => {
+      if (cancelled) return;
+      let text = null;
+      const next = update((s) => { text = applyCloudChange(s, table, payload, pendingOutboxIds(), Date.now()); });
+      setState(next);
+      if (text) setToast({ id: uid("toast"), text });
+    };
+    // signed out elsewhere (another tab, an expired refresh token): stop syncing until the next sign-in
+    const sb = getSupabase(settings);
+    const auth = sb ? sb.auth.onAuthStateChange((event) => {
+      if (event !== "SIGNED_OUT" || cancelled) return;
+      setState(update((s) => { s.settings.cloud = { ...s.settings.cloud, userId: "", email: "" }; }));
+      setToast({ id: uid("toast"), text: "Signed out — Cloud Sync is paused until you sign in again" });
+    }) : null;
+    resync();
+    const unsub = Cloud.subscribeAll(settings, onChange, resync);
+    return () => { cancelled = true; if (unsub) unsub(); if (auth) auth.data.subscription.unsubscribe(); };
+  }, [cloudKey]);
+
+  function commit(mutator) { const next = mutate(mutator); setState(next); return next; }
+  // Views see one dog at a time (see dogState); Settings and "log for all" also get the whole household
+  const dogId = findDog(state, state.activeDogId).id;
+  const view = useMemo(() => dogState(state, dogId), [state, dogId]);
+  function commitDog(mutator) { return commit((s) => withDog(s, dogId, mutator)); }
+  function switchDog(id) { commit((s) => { s.activeDogId = id; }); }
+  // commitDog plus an "Undo" snackbar that puts back the logs and attempts the change touched
+  function commitUndoable(text, mutator) {
+    const before = loadState();
+    const after = commitDog(mutator);
+    const id = uid("toast");
+    setToast({ id, text, undo: () => { commit((s) => revertChanges(s, before, after)); setToast(t => (t && t.id === id ? null : t)); } });
+    return after;
+  }
+  useReminders(state, commit, (r) => setToast({ id: uid("toast"), text: r.title + " — " + r.body }));
+  const [updateReady, applyUpdate] = useServiceWorkerUpdate();
+
+  useEffect(() => {
+    const types = takeQuickLogFromUrl();
+    if (!types.length) return;
+    const at = Date.now();
+    const next = commit((s) => withDog(s, s.activeDogId, (v) => { applyQuickLog(v, types, at); }));
+    setToast({ id: uid("toast"), text: types.map(t => TYPE_LABEL[t]).join(" + ") + " logged for " + findDog(next, next.activeDogId).name + " at " + fmtTime(at) });
+  }, []);
+  useEffect(() => { if (hasWindow()) document.title = view.dog.name + " Tracker"; }, [view.dog.name]);
+  function navBtnClass(active) { return "px-3 py-2 rounded-xl border" + (active ? " bg-black text-white" : " bg-gray-50 hover:bg-gray-100"); }
+
+  return (
+    <div className="min-h-screen bg-white text-gray-900">
+      <div className="max-w-3xl mx-auto px-4 py-6">
+        <h1 className="text-2xl font-bold"><DogAvatar dog={view.dog} size={28} /> {view.dog.name} Tracker (Web)</h1>
+        {state.dogs.length > 1 && (
+          <div className="mt-2 flex flex-wrap gap-2">
+            {state.dogs.map(d => (
+              <button key={d.id} onClick={() => switchDog(d.id)} className={"px-3 py-1 rounded-full border text-sm flex items-center gap-1" + (d.id === dogId ? " bg-black text-white" : " bg-gray-50 hover:bg-gray-100")}>
+                <DogAvatar dog={d} size={18} /> {d.name}{dogAge(d.birthdate, Date.now()) && <span className="opacity-60 text-xs">{dogAge(d.birthdate, Date.now())}</span>}
+              </button>
+            ))}
+          </div>
+        )}
+        <SyncIndicator settings={state.settings} />
+        {updateReady && (
+          <div className="mt-2 px-3 py-2 rounded-xl border bg-blue-50 border-blue-100 text-sm flex items-center justify-between gap-2">
+            <span>A new version of Rue Tracker is ready.</span>
+            <button className="px-2 py-1 rounded-lg border bg-white" onClick={applyUpdate}>Reload</button>
+          </div>
+        )}
+        <nav className="mt-4 flex gap-2">
+          {["logs","schedule","training","stats","settings"].map((k) => (
+            <button key={k} onClick={() => setTab(k)} className={navBtnClass(tab === k)}>{k[0].toUpperCase()+k.slice(1)}</button>
+          ))}
+        </nav>
+
+        {tab === "logs" && <LogsView key={dogId} state={view} commit={commitDog} commitUndoable={commitUndoable} household={state} commitHousehold={commit} />}
+        {tab === "schedule" && <ScheduleView key={dogId} state={view} commit={commitDog} commitUndoable={commitUndoable} />}
+        {tab === "training" && <TrainingView key={dogId} state={view} commit={commitDog} />}
+        {tab === "stats" && <StatsView state={view} />}
+        {tab === "settings" && <SettingsView key={dogId} state={view} commit={commitDog} household={state} commitHousehold={commit} />}
+
+        <Toast toast={toast} onClose={() => setToast(null)} />
+
+        <footer className="mt-10 text-xs text-gray-500">Data is stored locally in your browser (and optionally synced to your Supabase project).</footer>
+      </div>
+    </div>
+  );
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Logs (ascending order + edit + export + trash)
+
+const QUICK_LOG_TYPES = ["pee", "poop", "sleep", "water", "snack", "pee_attempt", "training"];
+
+function LogsView({ state, commit, commitUndoable, household, commitHousehold }) {
+  const quick = [
+    { label: "🐕💦 Pee", type: "pee" },
+    { label: "💩 Poop", type: "poop" },
+    { label: "😴 Sleep", type: "sleep" },
+    { label: "💧 Water", type: "water" },
+    { label: "🦴 Snack", type: "snack" },
+    { label: "🚽 Pee attempt", type: "pee_attempt" },
+    { label: "🎓 Training", type: "training" },
+  ];
+
+  // Edit state
+  const [editingId, setEditingId] = useState(null);
+  const [editingVal, setEditingVal] = useState("");
+  const [editingNote, setEditingNote] = useState("");
+  const [editingDetails, setEditingDetails] = useState({});
+  const [editingEnd, setEditingEnd] = useState(""); // sleep only; "" = still asleep
+
+  function startEdit(ev) { setEditingId(ev.id); setEditingVal(tsToLocalInput(ev.at)); setEditingNote(ev.note || ""); setEditingDetails(ev.details || {}); setEditingEnd(isFiniteTs(ev.endAt) ? tsToLocalInput(ev.endAt) : ""); }
+  function cancelEdit() { setEditingId(null); setEditingVal(""); setEditingNote(""); setEditingDetails({}); setEditingEnd(""); }
+  function saveEdit(id) {
+    const ts = localInputToTs(editingVal);
+    const ev = state.events.find(x => x.id === id);
+    commitUndoable((ev ? TYPE_LABEL[ev.type] : "Log") + " updated", (s) => {
+      const e = s.events.find(x => x.id === id); if (!e) return;
+      e.at = ts;
+      if (e.type === "sleep") {
+        if (editingEnd) endSleep(s, e, localInputToTs(editingEnd));
+        else { delete e.endAt; s.outAttempts = s.outAttempts.filter(a => a.sourceEventId !== e.id || !attemptPending(a)); }
       }
+      const note = editingNote.trim();
+      if (note) e.note = note; else delete e.note;
+      const wasAccident = eventOutcome(e) === "accident";
+      const details = cleanDetails(e.type, editingDetails);
+      if (details) e.details = details; else delete e.details;
+      if (!wasAccident && eventOutcome(e) === "accident") rescheduleAfterAccident(s, e);
     });
+    cancelEdit();
   }
 
-  // Export today's logs
-  const [exportOpen, setExportOpen] = useState(false);
-  const exportText = useMemo(() => buildExportTextForDate(state.events, Date.now()), [state.events]);
+  // "Log at…": minutes ago, or "custom" with a datetime-local value
+  const [offset, setOffset] = useState("0");
+  const [customAt, setCustomAt] = useState(() => tsToLocalInput(Date.now()));
+  const [multi, setMulti] = useState(false);
+  const [forAll, setForAll] = useState(false); // "log for both": the same entries for every dog
+  const otherDogs = household ? household.dogs.filter(d => d.id !== state.dog.id) : [];
+  const [selected, setSelected] = useState([]);
+  const [outcome, setOutcome] = useState(""); // applies to pee / poop / pee attempt
 
-  // Auto-copy export when opened
+  function logAt() { return offset === "custom" ? localInputToTs(customAt) : Date.now() - Number(offset) * 60 * 1000; }
+
+  function log(types) {
+    const at = logAt();
+    let attempt = null;
+    const logThis = (s) => {
+      const evs = applyQuickLog(s, types, at, outcome || undefined);
+      const water = evs.find(e => e.type === "water");
+      if (water) attempt = s.outAttempts.find(a => a.sourceEventId === water.id) || null;
+    };
+    if (forAll && otherDogs.length) commitHousehold((h) => {
+      withDog(h, state.dog.id, logThis);
+      otherDogs.forEach(d => withDog(h, d.id, (s) => { applyQuickLog(s, types, at, outcome || undefined); }));
+    });
+    else commit(logThis);
+    if (types.indexOf("water") !== -1 && hasWindow()) {
+      alert(attempt
+        ? "Logged water. Scheduled a Pee attempt at " + fmtTime(attempt.at) + "."
+        : "Logged water. No new Pee attempt scheduled (one is already pending, or a pee was logged after this water).");
+    }
+    if (outcome === "accident" && types.some(t => OUTCOME_TYPES.indexOf(t) !== -1) && state.settings.accidents.rescheduleSooner && hasWindow()) {
+      alert("Accident logged. The next out-attempt is now within " + state.settings.accidents.minutesToNextAttempt + " min.");
+    }
+    setOffset("0"); setSelected([]); setMulti(false); setOutcome("");
+  }
+
+  // The Sleep button turns into Wake while a nap is running
+  const asleep = currentSleep(state);
+  const [, setTick] = useState(0); // re-render every second for the nap timer
   useEffect(() => {
-    if (exportOpen && hasWindow()) { (async () => { try { await navigator.clipboard.writeText(exportText); } catch (_) {} })(); }
-  }, [exportOpen, exportText]);
+    if (!asleep) return;
+    const t = setInterval(() => setTick(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [asleep && asleep.id]);
+  const sleepToday = sleepStats(state, Date.now(), Date.now());
 
-  async function copyExport() { try { await navigator.clipboard.writeText(exportText); alert("Today's logs copied. Paste into ChatGPT."); } catch (_) {} }
+  function wake() {
+    const at = logAt();
+    let attempt = null;
+    commit((s) => {
+      const open = currentSleep(s); if (!open) return;
+      endSleep(s, open, at);
+      attempt = s.outAttempts.find(a => a.sourceEventId === open.id && attemptPending(a)) || null;
+    });
+    if (attempt && hasWindow()) alert("Good morning! Scheduled a Pee attempt at " + fmtTime(attempt.at) + ".");
+    setOffset("0");
+  }
+
+  function tapQuick(type) {
+    if (type === "sleep" && asleep && !multi) { wake(); return; }
+    if (!multi) { log([type]); return; }
+    setSelected(sel => sel.indexOf(type) === -1 ? sel.concat(type) : sel.filter(t => t !== type));
+  }
+
+  function deleteEvent(id) {
+    const ev = state.events.find(e => e.id === id);
+    if (!ev) return;
+    const linked = state.outAttempts.filter(a => a.sourceEventId === id && attemptPending(a)).length;
+    commitUndoable(TYPE_LABEL[ev.type] + " moved to the trash" + (linked ? " with its out-attempt" : ""), (s) => trashEvent(s, id, Date.now()));
+  }
 
   const recent = useMemo(() => state.events.slice().sort((a, b) => a.at - b.at), [state.events]);
 
   return (
     <div className="mt-4">
       <Section title="Quick Log">
+        <div className="flex flex-wrap gap-2 items-center text-sm">
+          <span className="text-gray-600">When:</span>
+          {[["0", "Now"], ["5", "5 min ago"], ["10", "10 min ago"], ["15", "15 min ago"], ["custom", "Custom…"]].map(([k, label]) => (
+            <button key={k} className={"px-2 py-1 rounded-lg border" + (offset === k ? " bg-black text-white" : "")} onClick={() => setOffset(k)}>{label}</button>
+          ))}
+          {offset === "custom" && (
+            <input type="datetime-local" value={customAt} max={tsToLocalInput(Date.now())} onChange={(e) => setCustomAt(e.target.value)} className="px-2 py-1 border rounded-lg" />
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2 items-center text-sm">
+          <span className="text-gray-600">Outcome:</span>
+          {[["", "—"]].concat(Object.keys(OUTCOME_LABELS).map(k => [k, OUTCOME_LABELS[k]])).map(([k, label]) => (
+            <button key={k || "unset"} className={"px-2 py-1 rounded-lg border" + (outcome === k ? " bg-black text-white" : "")} onClick={() => setOutcome(k)}>{label}</button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={multi} onChange={(e) => { setMulti(e.target.checked); setSelected([]); }} /> Log several at once
+        </label>
+        {otherDogs.length > 0 && (
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={forAll} onChange={(e) => setForAll(e.target.checked)} /> {otherDogs.length === 1 ? "Log for both (" + state.dog.name + " and " + otherDogs[0].name + ")" : "Log for all " + (otherDogs.length + 1) + " dogs"}
+          </label>
+        )}
         <div className="grid grid-cols-2 gap-2">
           {quick.map((q) => (
-            <PillButton key={q.type} label={q.label} onClick={() => log(q.type)} />
+            <PillButton key={q.type} label={q.type === "sleep" && asleep && !multi ? "☀️ Wake" : q.label} active={multi ? selected.indexOf(q.type) !== -1 : q.type === "sleep" && !!asleep} onClick={() => tapQuick(q.type)} />
           ))}
         </div>
-      </Section>
-
-      <Section title="Today's Export">
-        <div className="flex flex-wrap gap-2 items-center">
-          <button className="px-3 py-2 rounded-xl border" onClick={() => setExportOpen(v => !v)}>{exportOpen ? "Hide" : "Show"} Export</button>
-          <button className="px-3 py-2 rounded-xl border" onClick={copyExport}>Copy</button>
+        {asleep && (
+          <div className="text-sm rounded-xl bg-indigo-50 border border-indigo-100 p-2">
+            😴 Asleep since {fmtTime(asleep.at)} — <span className="font-mono">{fmtClock(Date.now() - asleep.at)}</span>
+          </div>
+        )}
+        <div className="text-xs text-gray-600">
+          Sleep today: {fmtDuration(sleepToday.totalMs)} total · longest {fmtDuration(sleepToday.longestMs)} · {sleepToday.naps} nap{sleepToday.naps === 1 ? "" : "s"}
         </div>
-        {exportOpen && (
-          <textarea className="w-full mt-2 p-2 border rounded-xl text-sm" rows={6} readOnly value={exportText} />
+        {multi && (
+          <button className="px-3 py-2 rounded-xl border w-full" disabled={!selected.length} onClick={() => log(quick.map(q => q.type).filter(t => selected.indexOf(t) !== -1))}>
+            Log {selected.length || ""} selected{offset !== "0" ? " at " + fmtTime(logAt()) : ""}
+          </button>
         )}
       </Section>
 
+      <Section title="Export">
+        <ExportPanel state={state} />
+      </Section>
+
       <Section title="Recent (oldest → newest)">
         <ul className="divide-y">
           {recent.map((e) => (
-            <li key={e.id} className="py-2 text-sm flex items-center justify-between gap-3">
-              <span>
-                {fmtDateTime(e.at)} — <span className="font-medium">{TYPE_ICON[e.type]} {TYPE_LABEL[e.type]}</span>
-              </span>
-              <div className="flex items-center gap-2">
-                {editingId === e.id ? (
-                  <>
-                    <input type="datetime-local" value={editingVal} onChange={(ev) => setEditingVal(ev.target.value)} className="px-2 py-1 border rounded-lg" />
-                    <button className="px-2 py-1 rounded-lg border" onClick={() => saveEdit(e.id)}>Save</button>
-                    <button className="px-2 py-1 rounded-lg border" onClick={cancelEdit}>Cancel</button>
-                  </>
-                ) : (
-                  <>
-                    <button className="px-2 py-1 rounded-lg border" onClick={() => startEdit(e)}>Edit</button>
-                    <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => deleteEvent(e.id)}>Delete</button>
-                  </>
-                )}
+            <li key={e.id} className="py-2 text-sm">
+              <div className="flex items-center justify-between gap-3">
+                <span>
+                  {fmtDateTime(e.at)} — <span className="font-medium">{TYPE_ICON[e.type]} {TYPE_LABEL[e.type]}</span>
+                  {formatEventDetails(e) && <span className="text-gray-600"> · {formatEventDetails(e)}</span>}
+                  {e.loggedBy && <span className="text-gray-500"> · by {loggedByName(state, e.loggedBy, "you")}</span>}
+                  {e.note && <div className="text-xs text-gray-600 italic">“{e.note}”</div>}
+                </span>
+                <div className="flex items-center gap-2">
+                  {editingId === e.id ? (
+                    <>
+                      <input type="datetime-local" value={editingVal} onChange={(ev) => setEditingVal(ev.target.value)} className="px-2 py-1 border rounded-lg" />
+                      {e.type === "sleep" && (
+                        <label className="text-xs text-gray-600">woke <input type="datetime-local" value={editingEnd} onChange={(ev) => setEditingEnd(ev.target.value)} className="px-2 py-1 border rounded-lg" /></label>
+                      )}
+                      <button className="px-2 py-1 rounded-lg border" onClick={() => saveEdit(e.id)}>Save</button>
+                      <button className="px-2 py-1 rounded-lg border" onClick={cancelEdit}>Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <button className="px-2 py-1 rounded-lg border" onClick={() => startEdit(e)}>Edit</button>
+                      <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => deleteEvent(e.id)}>Delete</button>
+                    </>
+                  )}
+                </div>
               </div>
+              {editingId === e.id && (
+                <EventDetailsEditor type={e.type} commands={state.trainingCommands} note={editingNote} onNote={setEditingNote} details={editingDetails} onDetails={setEditingDetails} />
+              )}
             </li>
           ))}
           {!recent.length && <div className="text-sm text-gray-500">No logs yet.</div>}
         </ul>
       </Section>
+
+      <TrashView state={state} commit={commit} />
+    </div>
+  );
+}
+
+function PottyStatsPanel({ state, days }) {
+  const now = Date.now();
+  const from = startOfDay(now - (days - 1) * DAY_MS);
+  const stats = pottyStats(state, from, endOfDay(now), now);
+  const pct = (r) => r === undefined ? "—" : Math.round(r * 100) + "%";
+  const maxHour = Math.max(1, ...stats.accidentsByHour);
+  return (
+    <div className="text-sm space-y-2">
+      <div>
+        Success rate <b>{pct(stats.rate)}</b> ({stats.successes} outside, {stats.accidents} accidents) ·
+        accident-free streak <b>{stats.currentStreak} day{stats.currentStreak === 1 ? "" : "s"}</b> (best {stats.longestStreak})
+        {stats.lastAccidentAt && <span className="text-gray-600"> · last accident {fmtDateTime(stats.lastAccidentAt)}</span>}
+      </div>
+      <ul className="text-xs text-gray-700">
+        {stats.days.map(d => (
+          <li key={d.day}>{new Date(d.day).toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })}: {pct(d.rate)} — ✅ {d.successes} · ⚠️ {d.accidents}{d.noResult ? " · ➖ " + d.noResult : ""}</li>
+        ))}
+      </ul>
+      {stats.accidents > 0 && (
+        <div>
+          <div className="text-xs text-gray-600 mb-1">Accidents by hour of day</div>
+          <div className="flex items-end gap-px h-12">
+            {stats.accidentsByHour.map((n, h) => (
+              <div key={h} title={h + ":00 — " + n} className="flex-1 bg-red-300 rounded-t" style={{ height: (n / maxHour * 100) + "%" }} />
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-gray-500"><span>0</span><span>6</span><span>12</span><span>18</span><span>23</span></div>
+        </div>
+      )}
     </div>
   );
 }
 
-function formatEventLine(e) { return fmtTime(e.at) + " — " + TYPE_ICON[e.type] + " " + TYPE_LABEL[e.type]; }
+function EventDetailsEditor({ type, commands, note, onNote, details, onDetails }) {
+  const fields = EVENT_DETAILS[type] || [];
+  const set = (key, v) => onDetails({ ...details, [key]: v });
+  return (
+    <div className="mt-2 p-2 border rounded-xl bg-gray-50 grid grid-cols-1 md:grid-cols-2 gap-2">
+      {fields.map((f) => (
+        <label key={f.key} className="flex items-center gap-2">
+          <span className="w-28 text-gray-600">{f.label}</span>
+          {f.options || f.fromCommands ? (
+            <select value={details[f.key] || ""} onChange={(ev) => set(f.key, ev.target.value)} className="flex-1 px-2 py-1 border rounded-lg">
+              <option value="">—</option>
+              {(f.options || commands.map(c => c.name)).map(o => <option key={o} value={o}>{f.labels ? f.labels[o] : o}</option>)}
+            </select>
+          ) : (
+            <input type={f.numeric ? "number" : "text"} min={f.numeric ? 0 : undefined} value={details[f.key] === undefined ? "" : details[f.key]} placeholder={f.placeholder} onChange={(ev) => set(f.key, ev.target.value)} className="flex-1 px-2 py-1 border rounded-lg" />
+          )}
+        </label>
+      ))}
+      <label className="flex items-center gap-2 md:col-span-2">
+        <span className="w-28 text-gray-600">Note</span>
+        <input value={note} onChange={(ev) => onNote(ev.target.value)} placeholder="Anything worth remembering" className="flex-1 px-2 py-1 border rounded-lg" />
+      </label>
+    </div>
+  );
+}
+
+// Export (date range: emoji text, CSV rows, or a per-day summary CSV)
+const EXPORT_FORMATS = {
+  text: "Emoji text (per day)",
+  csv: "CSV — one row per entry",
+  summary: "CSV — daily summary",
+};
+
+function startOfDay(ts) { const d = new Date(ts); return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime(); }
+function dateInputValue(ts) { return tsToLocalInput(ts).slice(0, 10); }
+function dateInputToTs(v) { const p = String(v || "").split("-").map(Number); return p.length === 3 && p.every(isFinite) ? new Date(p[0], p[1] - 1, p[2]).getTime() : startOfDay(Date.now()); }
+// Day starts from..to inclusive; stepping with setDate keeps DST days right
+function eachDay(fromTs, toTs) {
+  const out = [];
+  const d = new Date(startOfDay(Math.min(fromTs, toTs)));
+  const end = startOfDay(Math.max(fromTs, toTs));
+  while (d.getTime() <= end) { out.push(d.getTime()); d.setDate(d.getDate() + 1); }
+  return out;
+}
+function endOfDay(ts) { const d = new Date(startOfDay(ts)); d.setDate(d.getDate() + 1); return d.getTime() - 1; }
+
+function attemptOutcome(a, now) { return a.done ? "done" : a.dismissed || a.deletedAt ? "deleted" : a.at < now ? "missed" : "pending"; }
+
+// Flatten everything exportable in [fromTs, toTs] into rows: { at, kind, icon, label, details, note, by }
+function exportRows(state, fromTs, toTs, opts, now) {
+  const inRange = (ts) => isFiniteTs(ts) && ts >= fromTs && ts <= toTs;
+  const rows = state.events
+    .filter(e => e && inRange(e.at))
+    .map(e => ({ at: e.at, kind: e.type, icon: TYPE_ICON[e.type], label: TYPE_LABEL[e.type], details: formatEventDetails(e), note: e.note || "", by: loggedByName(state, e.loggedBy) }));
+  if (opts && opts.includeAttempts) {
+    state.outAttempts.filter(a => a && inRange(a.at)).forEach(a => {
+      rows.push({ at: a.at, kind: "out_attempt", icon: "🚪", label: "Out attempt (" + attemptTarget(state, a) + ")", note: attemptOutcome(a, now), by: loggedByName(state, a.loggedBy) });
+    });
+  }
+  if (opts && opts.includeSessions) {
+    state.trainingCommands.forEach(c => (c.sessionHistory || []).filter(x => inRange(x.startedAt)).forEach(x => {
+      const pct = Math.round((x.successRate || 0) * 100);
+      rows.push({ at: x.startedAt, kind: "training_session", icon: "🎓", label: "Training: " + c.name, note: Math.round((x.seconds || 0) / 60) + " min, " + (x.successes || 0) + "/" + (x.attempts || 0) + " (" + pct + "%)", by: loggedByName(state, x.loggedBy) });
+    }));
+  }
+  return rows.sort((a, b) => a.at - b.at);
+}
+
+function formatEventLine(e) { const d = formatEventDetails(e); return fmtTime(e.at) + " — " + TYPE_ICON[e.type] + " " + TYPE_LABEL[e.type] + (d ? " (" + d + ")" : "") + (e.note ? " — " + e.note : ""); }
+function formatRowLine(r) { return fmtTime(r.at) + " — " + r.icon + " " + r.label + (r.details ? " (" + r.details + ")" : "") + (r.note ? " — " + r.note : "") + (r.by ? " · by " + r.by : ""); }
+
 function buildExportTextForDate(events, targetTs) {
   const header = "Rue — Daily Log Export";
   const dateLine = new Date(targetTs).toLocaleDateString();
@@ -446,96 +2126,1077 @@ function buildExportTextForDate(events, targetTs) {
   return [header, dateLine, ""].concat(lines).join("\n");
 }
 
+function buildExportTextForRange(rows, fromTs, toTs) {
+  const days = eachDay(fromTs, toTs);
+  if (days.length === 1) {
+    return ["Rue — Daily Log Export", new Date(days[0]).toLocaleDateString(), ""].concat(rows.map(formatRowLine)).join("\n");
+  }
+  const out = ["Rue — Log Export", new Date(days[0]).toLocaleDateString() + " – " + new Date(days[days.length - 1]).toLocaleDateString()];
+  days.forEach(day => {
+    const lines = rows.filter(r => sameDay(r.at, day)).map(formatRowLine);
+    out.push("", "── " + new Date(day).toLocaleDateString([], { weekday: "short", year: "numeric", month: "short", day: "numeric" }) + " ──");
+    out.push(...(lines.length ? lines : ["(no logs)"]));
+  });
+  return out.join("\n");
+}
+
+function csvCell(v) {
+  const str = v === undefined || v === null ? "" : String(v);
+  return /[",\n\r]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+function toCsv(header, rows) { return [header].concat(rows).map(r => r.map(csvCell).join(",")).join("\n"); }
+
+// logged_by only appears once something in the range was logged by a signed-in caregiver
+function buildExportCsv(rows) {
+  const withBy = rows.some(r => r.by);
+  return toCsv(["timestamp", "date", "time", "type", "label", "details", "note"].concat(withBy ? ["logged_by"] : []),
+    rows.map(r => [new Date(r.at).toISOString(), dateInputValue(r.at), tsToLocalInput(r.at).slice(11), r.kind, r.label, r.details || "", r.note].concat(withBy ? [r.by || ""] : [])));
+}
+
+const SUMMARY_TYPES = ["pee", "poop", "food", "water", "sleep", "training", "pee_attempt"];
+function minutesOrBlank(ms) { return isFiniteTs(ms) ? Math.round(ms / 60000) : ""; }
+
+function buildDailySummaryCsv(state, fromTs, toTs, opts, now) {
+  const header = ["date"].concat(SUMMARY_TYPES, ["pee_interval_median_min", "pee_interval_mean_min", "pee_interval_longest_min", "sleep_total_min", "sleep_longest_min", "potty_success", "potty_accidents", "potty_success_pct", "meals_on_time", "meals_late", "meals_missed", "snacks"]);
+  if (opts && opts.includeAttempts) header.push("attempts_done", "attempts_missed", "attempts_pending");
+  if (opts && opts.includeSessions) header.push("training_sessions", "training_minutes", "training_success_pct");
+  const rows = eachDay(fromTs, toTs).map(day => {
+    const dayEnd = endOfDay(day);
+    const evs = state.events.filter(e => e && isFiniteTs(e.at) && e.at >= day && e.at <= dayEnd);
+    const pees = evs.filter(e => e.type === "pee").map(e => e.at).sort((a, b) => a - b);
+    const intervals = pees.slice(1).map((t, i) => t - pees[i]);
+    const row = [dateInputValue(day)].concat(SUMMARY_TYPES.map(t => evs.filter(e => e.type === t).length));
+    row.push(
+      minutesOrBlank(median(intervals)),
+      minutesOrBlank(intervals.length ? intervals.reduce((a, b) => a + b, 0) / intervals.length : undefined),
+      minutesOrBlank(intervals.length ? Math.max(...intervals) : undefined),
+    );
+    const sleep = sleepStats(state, day, now);
+    row.push(minutesOrBlank(sleep.totalMs), minutesOrBlank(sleep.longestMs));
+    const potty = pottyStats(state, day, dayEnd, now).days[0];
+    row.push(potty ? potty.successes : 0, potty ? potty.accidents : 0, potty && potty.rate !== undefined ? Math.round(potty.rate * 100) : "");
+    const meals = mealAdherence(state, day, now);
+    row.push(meals.onTime, meals.late, meals.missed, meals.snacks);
+    if (opts && opts.includeAttempts) {
+      const outcomes = state.outAttempts.filter(a => a && isFiniteTs(a.at) && a.at >= day && a.at <= dayEnd).map(a => attemptOutcome(a, now));
+      row.push(...["done", "missed", "pending"].map(k => outcomes.filter(o => o === k).length));
+    }
+    if (opts && opts.includeSessions) {
+      const sess = [].concat(...state.trainingCommands.map(c => c.sessionHistory || [])).filter(x => isFiniteTs(x.startedAt) && x.startedAt >= day && x.startedAt <= dayEnd);
+      const attempts = sess.reduce((a, x) => a + (x.attempts || 0), 0), successes = sess.reduce((a, x) => a + (x.successes || 0), 0);
+      row.push(sess.length, Math.round(sess.reduce((a, x) => a + (x.seconds || 0), 0) / 60), attempts ? Math.round(successes / attempts * 100) : "");
+    }
+    return row;
+  });
+  return toCsv(header, rows);
+}
+
+// opts: { from, to (day timestamps), format: keyof EXPORT_FORMATS, includeAttempts, includeSessions }
+function buildExport(state, opts, now) {
+  const fromTs = startOfDay(Math.min(opts.from, opts.to)), toTs = endOfDay(Math.max(opts.from, opts.to));
+  if (opts.format === "summary") return buildDailySummaryCsv(state, fromTs, toTs, opts, now);
+  const rows = exportRows(state, fromTs, toTs, opts, now);
+  return opts.format === "csv" ? buildExportCsv(rows) : buildExportTextForRange(rows, fromTs, toTs);
+}
+
+// Deleted logs and attempts of this dog, newest deletion first. Attempts trashed together with
+// their log aren't listed on their own — restoring or purging the log covers them.
+function TrashView({ state, commit }) {
+  const withLog = (a) => state.trash.events.some(e => e.id === a.sourceEventId && e.deletedAt === a.deletedAt);
+  const items = [].concat(
+    state.trash.events.map(e => ({ key: "events", rec: e, label: TYPE_ICON[e.type] + " " + TYPE_LABEL[e.type], detail: formatEventDetails(e) })),
+    state.trash.outAttempts.filter(a => !withLog(a)).map(a => ({ key: "outAttempts", rec: a, label: "🚪 Out attempt (" + attemptTarget(state, a) + ")", detail: describeAttemptSource(state, a) })),
+  ).sort((a, b) => b.rec.deletedAt - a.rec.deletedAt);
+  const [open, setOpen] = useState(false);
+
+  function restore(item) { commit((s) => restoreFromTrash(s, item.key, item.rec.id)); }
+  function purge(item) {
+    if (!hasWindow() || !confirm("Delete this " + (item.key === "events" ? "log" : "out-attempt") + " forever? This can't be undone.")) return;
+    commit((s) => purgeFromTrash(s, item.key, item.rec.id));
+  }
+  function emptyAll() {
+    if (!hasWindow() || !confirm("Delete all " + items.length + " items in the trash forever? This can't be undone.")) return;
+    commit((s) => { s.trash = emptyTrash(); });
+  }
+
+  return (
+    <Section title={"Trash (" + items.length + ")"}>
+      {!items.length ? <div className="text-sm text-gray-500">Deleted logs and out-attempts land here, so a mis-tap can be restored.</div> : (
+        <>
+          <div className="flex gap-2">
+            <button className="px-2 py-1 rounded-lg border text-sm" onClick={() => setOpen(v => !v)}>{open ? "Hide" : "Show"} trash</button>
+            <button className="px-2 py-1 rounded-lg border text-sm hover:bg-gray-50" onClick={emptyAll}>Empty trash</button>
+          </div>
+          {open && (
+            <ul className="divide-y">
+              {items.map(item => (
+                <li key={item.key + item.rec.id} className="py-2 text-sm flex items-center justify-between gap-3">
+                  <span>
+                    {fmtDateTime(item.rec.at)} — <span className="font-medium">{item.label}</span>
+                    {item.detail && <span className="text-gray-600"> · {item.detail}</span>}
+                    <div className="text-xs text-gray-500">deleted {fmtDateTime(item.rec.deletedAt)}</div>
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <button className="px-2 py-1 rounded-lg border" onClick={() => restore(item)}>Restore</button>
+                    <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => purge(item)}>Delete forever</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </Section>
+  );
+}
+
+function ExportPanel({ state }) {
+  const today = dateInputValue(Date.now());
+  const [from, setFrom] = useState(today);
+  const [to, setTo] = useState(today);
+  const [format, setFormat] = useState("text");
+  const [includeAttempts, setIncludeAttempts] = useState(false);
+  const [includeSessions, setIncludeSessions] = useState(false);
+  const [open, setOpen] = useState(false);
+
+  const opts = { from: dateInputToTs(from), to: dateInputToTs(to), format, includeAttempts, includeSessions };
+  const text = useMemo(() => buildExport(state, opts, Date.now()), [state, from, to, format, includeAttempts, includeSessions]);
+
+  // Auto-copy export when opened
+  useEffect(() => {
+    if (open && hasWindow()) { (async () => { try { await navigator.clipboard.writeText(text); } catch (_) {} })(); }
+  }, [open, text]);
+
+  function setRange(days) { setFrom(dateInputValue(Date.now() - (days - 1) * 24 * 3600 * 1000)); setTo(today); }
+  async function copyExport() { try { await navigator.clipboard.writeText(text); alert("Export copied."); } catch (_) {} }
+  function download() {
+    const ext = format === "text" ? "txt" : "csv";
+    downloadTextFile("rue-" + (format === "summary" ? "summary" : "logs") + "-" + from + (from === to ? "" : "_to_" + to) + "." + ext, text, format === "text" ? "text/plain" : "text/csv");
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2 items-center text-sm">
+        <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="px-2 py-1 border rounded-lg" />
+        <span>to</span>
+        <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="px-2 py-1 border rounded-lg" />
+        <button className="px-2 py-1 rounded-lg border" onClick={() => setRange(1)}>Today</button>
+        <button className="px-2 py-1 rounded-lg border" onClick={() => setRange(7)}>7 days</button>
+        <button className="px-2 py-1 rounded-lg border" onClick={() => setRange(30)}>30 days</button>
+      </div>
+      <div className="flex flex-wrap gap-3 items-center text-sm">
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className="px-2 py-1 border rounded-lg">
+          {Object.keys(EXPORT_FORMATS).map(k => <option key={k} value={k}>{EXPORT_FORMATS[k]}</option>)}
+        </select>
+        <label className="flex items-center gap-1"><input type="checkbox" checked={includeAttempts} onChange={(e) => setIncludeAttempts(e.target.checked)} /> Out-attempt outcomes</label>
+        <label className="flex items-center gap-1"><input type="checkbox" checked={includeSessions} onChange={(e) => setIncludeSessions(e.target.checked)} /> Training sessions</label>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <button className="px-3 py-2 rounded-xl border" onClick={() => setOpen(v => !v)}>{open ? "Hide" : "Show"} Export</button>
+        <button className="px-3 py-2 rounded-xl border" onClick={copyExport}>Copy</button>
+        <button className="px-3 py-2 rounded-xl border" onClick={download}>Download</button>
+      </div>
+      {open && (
+        <textarea className="w-full mt-2 p-2 border rounded-xl text-sm font-mono" rows={8} readOnly value={text} />
+      )}
+    </div>
+  );
+}
+
+// Full JSON backup — everything needed to rebuild the tracker, minus cloud credentials
+const BACKUP_FORMAT = "rue-tracker-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_COLLECTIONS = ["dogs", "events", "outAttempts", "trainingCommands"];
+
+function buildBackupJson(state, now) {
+  const { cloud, ...settings } = state.settings; // never put the anon key into a file that gets emailed around
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: state.schemaVersion,
+    exportedAt: now,
+    data: {
+      dogs: state.dogs,
+      events: state.events,
+      outAttempts: state.outAttempts,
+      trainingCommands: state.trainingCommands,
+      settings,
+      activeSession: state.activeSession,
+      quarantine: state.quarantine || [],
+    },
+  }, null, 2);
+}
+
+// -> normalized state built from a backup file's text; throws with a readable message
+function parseBackupJson(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { throw new Error("This file is not valid JSON."); }
+  if (!doc || doc.format !== BACKUP_FORMAT || !doc.data) throw new Error("This is not a Rue Tracker backup file.");
+  if (!(doc.version <= BACKUP_VERSION)) throw new Error("This backup was made by a newer version of the app.");
+  const { state } = normalizeState({ ...doc.data, schemaVersion: doc.schemaVersion }, Date.now());
+  return { state, exportedAt: doc.exportedAt };
+}
+
+function mergeRecordsById(current, incoming, counts) {
+  const byId = new Map(current.map(r => [r.id, r]));
+  const out = current.slice();
+  incoming.forEach(r => {
+    const mine = byId.get(r.id);
+    if (!mine) { out.push(r); counts.added++; return; }
+    if (recordSig(mine, ["sessionHistory"]) === recordSig(r, ["sessionHistory"])) { counts.unchanged++; return; }
+    if ((r.updatedAt || 0) > (mine.updatedAt || 0)) { out[out.indexOf(mine)] = r; counts.updated++; } else counts.unchanged++;
+  });
+  return out;
+}
+
+// Work out the state an import would produce. mode: 'replace' | 'merge' (by id, newer updatedAt wins).
+// -> { next: { dogs, events, outAttempts, trainingCommands, settings }, summary: { [collection]: { added, updated, removed, unchanged } } }
+function planImport(current, incoming, mode) {
+  const summary = {};
+  const next = {};
+  BACKUP_COLLECTIONS.forEach(key => {
+    const counts = summary[key] = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    const cur = current[key] || [], inc = incoming[key] || [];
+    if (mode === "replace") {
+      const curById = new Map(cur.map(r => [r.id, r]));
+      const incIds = new Set(inc.map(r => r.id));
+      inc.forEach(r => {
+        const mine = curById.get(r.id);
+        if (!mine) counts.added++;
+        else if (recordSig(mine) === recordSig(r)) counts.unchanged++;
+        else counts.updated++;
+      });
+      counts.removed = cur.filter(r => !incIds.has(r.id)).length;
+      next[key] = inc;
+    } else {
+      next[key] = mergeRecordsById(cur, inc, counts);
+    }
+  });
+  if (mode === "merge") {
+    // sessions merge inside each command too, so two phones' histories combine
+    const curCmd = new Map((current.trainingCommands || []).map(c => [c.id, c]));
+    const incCmd = new Map((incoming.trainingCommands || []).map(c => [c.id, c]));
+    const sessCounts = summary.sessions = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    next.trainingCommands = next.trainingCommands.map(c => {
+      const mine = curCmd.get(c.id), other = incCmd.get(c.id);
+      if (!mine || !other) return c;
+      const sessionHistory = mergeRecordsById(mine.sessionHistory || [], other.sessionHistory || [], sessCounts)
+        .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+      return { ...c, sessionHistory };
+    });
+  }
+  next.settings = mode === "replace" ? { ...incoming.settings, cloud: current.settings.cloud } : current.settings;
+  // A merge keeps this phone's running timer if it has one; either way the timer needs its command
+  const timer = mode === "replace" ? incoming.activeSession : current.activeSession || incoming.activeSession;
+  next.activeSession = timer && next.trainingCommands.some(c => c.id === timer.commandId) ? timer : null;
+  return { next, summary };
+}
+
+function downloadTextFile(filename, text, mime) {
+  if (!hasWindow()) return;
+  const url = URL.createObjectURL(new Blob([text], { type: mime || "text/plain" }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadBackup(state) {
+  const stamp = tsToLocalInput(Date.now()).replace("T", "-").replace(":", "");
+  downloadTextFile("rue-tracker-backup-" + stamp + ".json", buildBackupJson(state, Date.now()), "application/json");
+}
+
 // ────────────────────────────────────────────────────────────────────────────────
 // Schedule (combined meals + pee attempts)
 
-function ScheduleView({ state, commit }) {
+// "HH:MM" on the day containing dayTs -> timestamp
+function hhmmOnDay(hhmm, dayTs) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  const d = new Date(startOfDay(dayTs));
+  d.setHours(h || 0, m || 0, 0, 0);
+  return d.getTime();
+}
+
+function isWeekend(ts) { const d = new Date(ts).getDay(); return d === 0 || d === 6; }
+
+// Slot times ("HH:MM") for the day containing dayTs; weekends fall back to the weekday list when unset
+function mealTimesForDay(settings, dayTs) {
+  const ms = settings.mealSchedule;
+  return isWeekend(dayTs) && ms.weekendTimes && ms.weekendTimes.length ? ms.weekendTimes : ms.times;
+}
+
+// Match the day's meals (not snacks) to slots: each meal, in order, takes the nearest free slot within tolerance.
+// -> { slots: [{ at, status, meal?, lateMs? }], extra: [meal] }
+// status: 'on-time' | 'late' (eaten), 'missed' (past tolerance), 'due' (past slot, still within tolerance), 'upcoming'
+function mealSlotsForDay(state, dayTs, now) {
+  const ms = state.settings.mealSchedule;
+  const tol = ms.toleranceMinutes * 60000, lateAfter = ms.lateAfterMinutes * 60000;
+  const slots = mealTimesForDay(state.settings, dayTs).map(t => ({ at: hhmmOnDay(t, dayTs) })).sort((a, b) => a.at - b.at);
+  const meals = state.events.filter(e => e && e.type === "food" && isFiniteTs(e.at) && sameDay(e.at, dayTs)).sort((a, b) => a.at - b.at);
+  const extra = [];
+  meals.forEach(m => {
+    let best;
+    slots.forEach(sl => { if (!sl.meal && Math.abs(m.at - sl.at) <= tol && (!best || Math.abs(m.at - sl.at) < Math.abs(m.at - best.at))) best = sl; });
+    if (best) best.meal = m; else extra.push(m);
+  });
+  slots.forEach(sl => {
+    if (sl.meal) { sl.lateMs = Math.max(0, sl.meal.at - sl.at); sl.status = sl.lateMs > lateAfter ? "late" : "on-time"; }
+    else sl.status = now > sl.at + tol ? "missed" : now >= sl.at ? "due" : "upcoming";
+  });
+  return { slots, extra };
+}
+
+// -> { onTime, late, missed, pending, extra, snacks, total } for one day
+function mealAdherence(state, dayTs, now) {
+  const { slots, extra } = mealSlotsForDay(state, dayTs, now);
+  const n = (st) => slots.filter(x => x.status === st).length;
+  return {
+    onTime: n("on-time"), late: n("late"), missed: n("missed"), pending: n("due") + n("upcoming"),
+    extra: extra.length,
+    snacks: state.events.filter(e => e && e.type === "snack" && isFiniteTs(e.at) && sameDay(e.at, dayTs)).length,
+    total: slots.length,
+  };
+}
+
+// Today's meal slots still open (due or upcoming)
+function remainingMealsTs(state, now) {
+  return mealSlotsForDay(state, now, now).slots.filter(x => x.status === "due" || x.status === "upcoming").map(x => x.at);
+}
+
+// Shared by the Schedule tab and reminder actions
+function markAttemptDone(s, id, now) {
+  const a = s.outAttempts.find((x) => x.id === id);
+  if (!attemptPending(a)) return;
+  a.done = true;
+  // reason names the trigger (water, meal, …), the rule's target says what the dog went out for
+  if (attemptTarget(s, a) === "pee") s.events.push({ id: uid("ev"), type: "pee_attempt", at: now });
+}
+function logMeal(s, at) { const ev = { id: uid("ev"), type: "food", at }; s.events.push(ev); applyOutAttemptRules(s, "food", ev); }
+// Snacks are logged but never fill a meal slot or trigger the meal rules
+function logSnack(s, at) { s.events.push({ id: uid("ev"), type: "snack", at }); }
+
+const MEAL_STATUS_LABEL = { "on-time": "✅ on time", late: "⏰ late", missed: "❌ missed", due: "due now", upcoming: "" };
+const ATTEMPT_OUTCOME_LABEL = { done: "✓ done", deleted: "🗑 deleted", missed: "❌ missed", pending: "" };
+const ADHERENCE_DAYS = 7;
+
+// Everything planned for and logged on one day; outcomes are as of `now`.
+// Today's list also carries attempts still pending from earlier days.
+function dayPlan(state, dayTs, now) {
+  const from = startOfDay(dayTs), to = endOfDay(dayTs), isToday = from === startOfDay(now);
+  const attempts = state.outAttempts.concat(trashOf(state, "outAttempts"))
+    .filter(a => a && isFiniteTs(a.at) && ((a.at >= from && a.at <= to) || (isToday && a.at < from && attemptPending(a))))
+    .sort((a, b) => a.at - b.at)
+    .map(a => ({ attempt: a, outcome: attemptOutcome(a, now), target: attemptTarget(state, a), source: describeAttemptSource(state, a) }));
+  const events = state.events.filter(e => e && isFiniteTs(e.at) && e.at >= from && e.at <= to).sort((a, b) => a.at - b.at);
+  return { day: from, meals: mealSlotsForDay(state, from, now), attempts, events };
+}
+
+function ScheduleView({ state, commit, commitUndoable }) {
   const now = Date.now();
-  const suggested = peeSuggestionFromPrevDay(state, now);
+  const today = startOfDay(now);
+  const [day, setDay] = useState(today);
+  const [showWeek, setShowWeek] = useState(false);
+  const when = day === today ? "today" : day < today ? "past" : "future";
 
-  // Build today's scheduled meal timestamps
-  const today = new Date(now);
-  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 0, 0, 0, 0);
-  function parseMealToTs(hhmm) {
-    const [h, m] = hhmm.split(":").map(Number);
-    const d = new Date(start.getTime());
-    d.setHours(h || 0, m || 0, 0, 0);
-    return d.getTime();
-  }
-  const todaysMealsTs = state.settings.mealSchedule.times.map(parseMealToTs).sort((a,b)=>a-b);
-  const mealsEatenCount = state.events.filter(e => e.type === "food" && sameDay(e.at, now)).length;
-  const remainingMealsTs = todaysMealsTs.slice(mealsEatenCount);
+  const prediction = when === "today" ? predictNextPee(state, now) : null;
+  const firstPee = when === "future" ? predictFirstPee(state, day, now) : null;
+  const plan = dayPlan(state, day, now);
+  const adherence = eachDay(today - (ADHERENCE_DAYS - 1) * DAY_MS, now).reverse().map(d => ({ day: d, ...mealAdherence(state, d, now) }));
 
-  // Pending pee attempts
-  const attempts = useMemo(() => state.outAttempts.slice().sort((a, b) => a.at - b.at), [state.outAttempts]);
+  // Mon..Sun around the selected day
+  const weekStart = (() => { const d = new Date(day); d.setDate(d.getDate() - (d.getDay() + 6) % 7); return d.getTime(); })();
+  const week = eachDay(weekStart, weekStart + 6 * DAY_MS + DAY_MS / 2);
 
   const schedule = [
-    ...remainingMealsTs.map((ts, idx) => ({ id: "meal-" + ts + "-" + idx, at: ts, kind: "meal" })),
-    ...attempts.map(a => ({ id: a.id, at: a.at, kind: "pee" })),
+    ...plan.meals.slots.map((sl, idx) => ({ id: "meal-" + sl.at + "-" + idx, at: sl.at, kind: "meal", slot: sl })),
+    ...plan.attempts.filter(x => when !== "today" || x.outcome !== "deleted").map(x => ({ id: x.attempt.id, at: x.attempt.at, kind: "attempt", target: x.target, source: x.source, outcome: x.outcome })),
   ].sort((a,b)=>a.at-b.at);
 
-  function markPeeDone(id) {
-    commit((s) => {
-      const a = s.outAttempts.find((x) => x.id === id);
-      if (!a) return;
-      a.done = true;
-      if (s.settings.cloud && s.settings.cloud.enabled) Cloud.updateAttempt(s.settings, a);
-      if (a.reason === "pee") {
-        const ev = { id: uid("ev"), type: "pee_attempt", at: Date.now() };
-        s.events.push(ev);
-        if (s.settings.cloud && s.settings.cloud.enabled) Cloud.insertEvent(s.settings, ev);
-      }
-    });
-  }
+  function shiftDay(n) { const d = new Date(day); d.setDate(d.getDate() + n); setDay(d.getTime()); }
+
+  function markPeeDone(id) { commitUndoable("Out-attempt marked done", (s) => markAttemptDone(s, id, Date.now())); }
+  function deleteAttempt(id) { commitUndoable("Out-attempt moved to the trash", (s) => trashAttempt(s, id, Date.now())); }
+
+  function logMealNow() { commit((s) => logMeal(s, Date.now())); }
+  function logSnackNow() { commit((s) => logSnack(s, Date.now())); }
+
+  function rowLabel(item) {
+    if (item.kind === "meal") {
+      const sl = item.slot, status = when === "future" ? "" : MEAL_STATUS_LABEL[sl.status];
+      const eaten = sl.meal ? " (eaten " + fmtTime(sl.meal.at) + (sl.status === "late" ? ", " + fmtDuration(sl.lateMs) + " late" : "") + ")" : "";
+      return fmtTime(item.at) + " • 🍽️ Meal" + (status ? " — " + status : "") + eaten;
+    }
+    const status = ATTEMPT_OUTCOME_LABEL[item.outcome];
+    return (item.at < day ? fmtDateTime(item.at) : fmtTime(item.at)) + " • " + RULE_TARGETS[item.target] + (item.source ? " — " + item.source : "") + (status ? " — " + status : "");
+  }
+
+  const dayTitle = new Date(day).toLocaleDateString([], { weekday: "long", month: "short", day: "numeric" });
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center gap-2 text-sm mb-3">
+        <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => shiftDay(-1)} aria-label="Previous day">◀</button>
+        <input type="date" value={dateInputValue(day)} onChange={(e) => setDay(dateInputToTs(e.target.value))} className="px-2 py-1 border rounded-lg" />
+        <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => shiftDay(1)} aria-label="Next day">▶</button>
+        {when !== "today" && <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => setDay(today)}>Today</button>}
+        <label className="ml-auto flex items-center gap-1"><input type="checkbox" checked={showWeek} onChange={(e) => setShowWeek(e.target.checked)} /> Week</label>
+      </div>
+
+      {showWeek && (
+        <div className="grid grid-cols-7 gap-1 mb-3 text-xs">
+          {week.map(d => {
+            const a = d <= now ? mealAdherence(state, d, now) : null;
+            return (
+              <button key={d} onClick={() => setDay(d)} className={"py-1 rounded-lg border text-center" + (d === day ? " bg-black text-white" : d === today ? " border-blue-400" : " hover:bg-gray-50")}>
+                <div>{new Date(d).toLocaleDateString([], { weekday: "short" })}</div>
+                <div className="font-semibold">{new Date(d).getDate()}</div>
+                <div className={a && a.missed ? "text-red-500" : "opacity-60"}>{a ? "🍽️" + (a.onTime + a.late) + "/" + a.total : "·"}</div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="rounded-2xl bg-blue-50 border border-blue-100 p-3 text-sm">
+        <div className="font-semibold">{when === "today" ? "Today's Schedule" : dayTitle}</div>
+        {prediction && (
+          <div className="mt-1">
+            💡 Next pee predicted around <b>{fmtTime(prediction.at)}</b>
+            {prediction.mode === "model" && prediction.high > prediction.low && <> (likely {fmtTime(prediction.low)} – {fmtTime(prediction.high)})</>}
+            <div className="text-xs text-gray-600">{describePrediction(prediction)}</div>
+            {prediction.mode === "model" && prediction.candidates.length > 1 && (
+              <div className="text-xs text-gray-500">Also considered: {prediction.candidates.slice(1).map(c => c.label + " → " + fmtTime(c.at)).join(", ")}</div>
+            )}
+          </div>
+        )}
+        {when === "future" && (firstPee ? (
+          <div className="mt-1">
+            💡 First pee of the day usually around <b>{fmtTime(firstPee.at)}</b>
+            {firstPee.high > firstPee.low && <> (likely {fmtTime(firstPee.low)} – {fmtTime(firstPee.high)})</>}
+            <div className="text-xs text-gray-600">from {firstPee.samples} of the last {firstPee.windowDays} days</div>
+          </div>
+        ) : <div className="mt-1 text-xs text-gray-600">Not enough history yet to predict the first pee.</div>)}
+        {when === "past" && (
+          <div className="mt-1 text-xs text-gray-600">
+            Meals {plan.meals.slots.filter(x => x.meal).length}/{plan.meals.slots.length} • attempts {["done", "deleted", "missed"].map(k => plan.attempts.filter(x => x.outcome === k).length + " " + k).join(", ")}
+          </div>
+        )}
+      </div>
+
+      <Section title={when === "today" ? "Today (meals + out attempts)" : when === "past" ? "Planned" : "Planned (projected)"}>
+        <ul className="divide-y">
+          {schedule.map((item) => (
+            <li key={item.id} className="py-2 flex items-center justify-between text-sm">
+              <span>{rowLabel(item)}</span>
+              {when === "today" && (
+                <div className="flex gap-2">
+                  {item.kind === "meal" ? (
+                    (item.slot.status === "due" || item.slot.status === "upcoming") && <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={logMealNow}>Log Meal</button>
+                  ) : item.outcome !== "done" && (
+                    <>
+                      <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => markPeeDone(item.id)}>Done</button>
+                      <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => deleteAttempt(item.id)}>Delete</button>
+                    </>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+          {!schedule.length && <div className="text-sm text-gray-500">Nothing scheduled{when === "past" ? "." : " yet."}</div>}
+        </ul>
+        {plan.meals.extra.length > 0 && <div className="text-xs text-gray-500">Off-schedule meals: {plan.meals.extra.map(m => fmtTime(m.at)).join(", ")}</div>}
+        {when === "today" && <button className="px-2 py-1 rounded-lg border hover:bg-gray-50 text-sm" onClick={logSnackNow}>🦴 Log snack</button>}
+      </Section>
+
+      {when === "past" && (
+        <Section title="Logged">
+          <ul className="divide-y">
+            {plan.events.map(e => (
+              <li key={e.id} className="py-2 text-sm">
+                {fmtTime(e.at)} • {TYPE_ICON[e.type]} {TYPE_LABEL[e.type] || e.type}
+                {formatEventDetails(e) && <span className="text-gray-500"> — {formatEventDetails(e)}</span>}
+                {e.note && <span className="text-gray-500"> — {e.note}</span>}
+              </li>
+            ))}
+            {!plan.events.length && <div className="text-sm text-gray-500">Nothing logged this day.</div>}
+          </ul>
+        </Section>
+      )}
+
+      {when === "today" && (
+        <Section title={"Meal adherence (last " + ADHERENCE_DAYS + " days)"}>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500"><th className="font-normal">Day</th><th className="font-normal">On time</th><th className="font-normal">Late</th><th className="font-normal">Missed</th><th className="font-normal">Snacks</th></tr>
+            </thead>
+            <tbody>
+              {adherence.map(a => (
+                <tr key={a.day} className="border-t cursor-pointer hover:bg-gray-50" onClick={() => setDay(a.day)}>
+                  <td className="py-1">{new Date(a.day).toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })}{isWeekend(a.day) ? " •" : ""}</td>
+                  <td>{a.onTime}/{a.total}</td>
+                  <td>{a.late}</td>
+                  <td className={a.missed ? "text-red-600" : ""}>{a.missed}</td>
+                  <td>{a.snacks}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-gray-500">• weekend schedule. Meals more than {state.settings.mealSchedule.toleranceMinutes} min from any slot count as off-schedule. Tap a day to open it.</div>
+        </Section>
+      )}
+    </div>
+  );
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Stats (last N days; plain SVG charts, nothing external)
+
+const STATS_RANGES = [7, 14, 30];
+const STATS_TYPES = ["pee", "poop", "food", "snack", "water", "sleep", "pee_attempt", "training"];
+const TYPE_COLOR = { pee: "#f59e0b", poop: "#92400e", food: "#10b981", snack: "#84cc16", water: "#3b82f6", sleep: "#6366f1", pee_attempt: "#9ca3af", training: "#ec4899" };
+const INTERVAL_BUCKET_MS = 30 * 60 * 1000;
+
+function statsEvents(state, fromTs, toTs) { return state.events.filter(e => e && isFiniteTs(e.at) && e.at >= fromTs && e.at <= toTs); }
+
+// -> [{ day, counts: { [type]: n } }] for each day in range
+function dailyCounts(state, fromTs, toTs) {
+  const evs = statsEvents(state, fromTs, toTs);
+  return eachDay(fromTs, toTs).map(day => {
+    const dayEnd = endOfDay(day), counts = {};
+    STATS_TYPES.forEach(t => { counts[t] = 0; });
+    evs.forEach(e => { if (e.at >= day && e.at <= dayEnd && counts[e.type] !== undefined) counts[e.type]++; });
+    return { day, counts };
+  });
+}
+
+// Gaps between consecutive pees (overnight gaps longer than the model's cap are left out)
+function peeIntervals(state, fromTs, toTs) {
+  const pees = statsEvents(state, fromTs, toTs).filter(e => e.type === "pee").map(e => e.at).sort((a, b) => a - b);
+  return pees.slice(1).map((t, i) => ({ at: t, ms: t - pees[i] })).filter(x => x.ms > 0 && x.ms <= PREDICTION_TRIGGERS.pee.maxLatency);
+}
+
+// Time from each water to the next pee, within the model's cap
+function waterToPeeLatencies(state, fromTs, toTs) {
+  const pees = state.events.filter(e => e && e.type === "pee" && isFiniteTs(e.at)).map(e => e.at).sort((a, b) => a - b);
+  return statsEvents(state, fromTs, toTs).filter(e => e.type === "water").map(w => {
+    const p = pees.find(t => t > w.at);
+    return p === undefined ? undefined : p - w.at;
+  }).filter(ms => ms !== undefined && ms <= PREDICTION_TRIGGERS.water.maxLatency);
+}
+
+// -> { [type]: number[24] }
+function hourOfDayCounts(state, fromTs, toTs) {
+  const out = {};
+  STATS_TYPES.forEach(t => { out[t] = new Array(24).fill(0); });
+  statsEvents(state, fromTs, toTs).forEach(e => { if (out[e.type]) out[e.type][new Date(e.at).getHours()]++; });
+  return out;
+}
+
+function histogram(values, bucket) {
+  if (!values.length) return [];
+  const counts = new Array(Math.floor(Math.max(...values) / bucket) + 1).fill(0);
+  values.forEach(v => { counts[Math.floor(v / bucket)]++; });
+  return counts;
+}
+
+// Bars: [{ label, segments: [{ value, color }] }] — stacked when there is more than one segment
+function BarChart({ bars, height = 120, marker }) {
+  const W = 300, H = height, pad = 14;
+  const max = Math.max(1, ...bars.map(b => b.segments.reduce((a, x) => a + x.value, 0)));
+  const bw = (W - 2) / Math.max(1, bars.length);
+  const every = Math.ceil(bars.length / 8);
+  return (
+    <svg viewBox={"0 0 " + W + " " + (H + pad)} className="w-full" role="img">
+      {bars.map((b, i) => {
+        let y = H;
+        return (
+          <g key={i}>
+            {b.segments.map((sg, j) => {
+              const h = sg.value / max * (H - 4); y -= h;
+              return <rect key={j} x={1 + i * bw + 1} y={y} width={Math.max(1, bw - 2)} height={h} fill={sg.color}><title>{b.label + ": " + sg.value}</title></rect>;
+            })}
+            {i % every === 0 && <text x={1 + i * bw + bw / 2} y={H + 11} fontSize="8" textAnchor="middle" fill="#6b7280">{b.label}</text>}
+          </g>
+        );
+      })}
+      {marker && marker.index <= bars.length && <line x1={1 + marker.index * bw} x2={1 + marker.index * bw} y1={0} y2={H} stroke="#ef4444" strokeDasharray="3 2" />}
+      <line x1={0} x2={W} y1={H} y2={H} stroke="#d1d5db" />
+    </svg>
+  );
+}
+
+function LineChart({ points, height = 100, formatY }) {
+  const W = 300, H = height, pad = 14;
+  const ys = points.filter(p => p.value !== undefined);
+  if (ys.length < 2) return <div className="text-sm text-gray-500">Not enough data yet.</div>;
+  const max = Math.max(...ys.map(p => p.value)), min = Math.min(...ys.map(p => p.value));
+  const x = (i) => 4 + i * (W - 8) / Math.max(1, points.length - 1);
+  const y = (v) => H - 6 - (max === min ? 0.5 : (v - min) / (max - min)) * (H - 12);
+  const path = points.map((p, i) => p.value === undefined ? null : [x(i), y(p.value)]).filter(Boolean).map((pt, i) => (i ? "L" : "M") + pt[0] + " " + pt[1]).join(" ");
+  return (
+    <svg viewBox={"0 0 " + W + " " + (H + pad)} className="w-full" role="img">
+      <path d={path} fill="none" stroke="#f59e0b" strokeWidth="2" />
+      {points.map((p, i) => p.value === undefined ? null : <circle key={i} cx={x(i)} cy={y(p.value)} r="2.5" fill="#f59e0b"><title>{p.label + ": " + formatY(p.value)}</title></circle>)}
+      <text x={2} y={10} fontSize="8" fill="#6b7280">{formatY(max)}</text>
+      <text x={2} y={H - 8} fontSize="8" fill="#6b7280">{formatY(min)}</text>
+      <text x={4} y={H + 11} fontSize="8" fill="#6b7280">{points[0].label}</text>
+      <text x={W - 4} y={H + 11} fontSize="8" textAnchor="end" fill="#6b7280">{points[points.length - 1].label}</text>
+    </svg>
+  );
+}
+
+function Heatmap({ rows }) {
+  const W = 300, labelW = 24, cw = (W - labelW) / 24, ch = 12;
+  const max = Math.max(1, ...rows.map(r => Math.max(...r.values)));
+  return (
+    <svg viewBox={"0 0 " + W + " " + (rows.length * ch + 12)} className="w-full" role="img">
+      {rows.map((r, i) => (
+        <g key={r.key}>
+          <text x={0} y={i * ch + 9} fontSize="8">{r.label}</text>
+          {r.values.map((n, h) => (
+            <rect key={h} x={labelW + h * cw} y={i * ch} width={cw - 1} height={ch - 1} rx="1" fill={r.color} fillOpacity={n ? 0.15 + 0.85 * n / max : 0.04}><title>{r.key + " " + h + ":00 — " + n}</title></rect>
+          ))}
+        </g>
+      ))}
+      {[0, 6, 12, 18].map(h => <text key={h} x={labelW + h * cw} y={rows.length * ch + 9} fontSize="8" fill="#6b7280">{h}</text>)}
+    </svg>
+  );
+}
+
+function StatsView({ state }) {
+  const [days, setDays] = useState(7);
+  const now = Date.now();
+  const fromTs = startOfDay(now - (days - 1) * DAY_MS), toTs = endOfDay(now);
+  const dayLabel = (ts) => new Date(ts).toLocaleDateString([], { month: "numeric", day: "numeric" });
+  const mins = (ms) => Math.round(ms / 60000) + "m";
+
+  const counts = dailyCounts(state, fromTs, toTs);
+  const intervals = peeIntervals(state, fromTs, toTs);
+  const intervalHist = histogram(intervals.map(x => x.ms), INTERVAL_BUCKET_MS);
+  const medianByDay = eachDay(fromTs, toTs).map(day => ({ label: dayLabel(day), value: median(intervals.filter(x => sameDay(x.at, day)).map(x => x.ms)) }));
+  const latencies = waterToPeeLatencies(state, fromTs, toTs);
+  const latencyHist = histogram(latencies, 10 * 60 * 1000);
+  const latencyMedian = median(latencies);
+  const heat = hourOfDayCounts(state, fromTs, toTs);
+  const ruleMs = waterRuleMs(state.settings);
+
+  return (
+    <div className="mt-4">
+      <div className="flex gap-2 text-sm">
+        {STATS_RANGES.map(n => (
+          <button key={n} className={"px-2 py-1 rounded-lg border" + (days === n ? " bg-black text-white" : "")} onClick={() => setDays(n)}>Last {n} days</button>
+        ))}
+      </div>
+
+      <Section title="Daily counts">
+        <BarChart bars={counts.map(c => ({ label: dayLabel(c.day), segments: STATS_TYPES.map(t => ({ value: c.counts[t], color: TYPE_COLOR[t] })) }))} />
+        <div className="flex flex-wrap gap-3 text-xs">
+          {STATS_TYPES.map(t => <span key={t}><span className="inline-block w-2 h-2 rounded-sm mr-1" style={{ background: TYPE_COLOR[t] }} />{TYPE_LABEL[t]}</span>)}
+        </div>
+      </Section>
+
+      <Section title="Pee intervals">
+        {intervals.length ? (
+          <>
+            <div className="text-sm">Median <b>{mins(median(intervals.map(x => x.ms)))}</b> over {intervals.length} intervals (30-minute buckets)</div>
+            <BarChart bars={intervalHist.map((n, i) => ({ label: (i * 30 / 60) + "h", segments: [{ value: n, color: TYPE_COLOR.pee }] }))} />
+            <div className="text-xs text-gray-600">Daily median — is it growing?</div>
+            <LineChart points={medianByDay} formatY={mins} />
+          </>
+        ) : <div className="text-sm text-gray-500">Log a few pees to see intervals.</div>}
+      </Section>
+
+      <Section title="Hour of day">
+        <Heatmap rows={STATS_TYPES.map(t => ({ key: TYPE_LABEL[t], label: TYPE_ICON[t], color: TYPE_COLOR[t], values: heat[t] }))} />
+      </Section>
+
+      <Section title="Water → pee latency">
+        {latencies.length ? (
+          <>
+            <div className="text-sm">
+              Median <b>{mins(latencyMedian)}</b> after water ({latencies.length} samples). The water rule schedules the pee attempt at {mins(ruleMs)}
+              {latencyMedian < ruleMs * 0.8 ? " — your dog usually goes sooner." : latencyMedian > ruleMs * 1.2 ? " — your dog usually goes later." : " — that fits."}
+            </div>
+            <BarChart bars={latencyHist.map((n, i) => ({ label: (i * 10) + "m", segments: [{ value: n, color: TYPE_COLOR.water }] }))} marker={{ index: ruleMs / (10 * 60 * 1000) }} />
+            <div className="text-xs text-gray-500">Dashed line: the {mins(ruleMs)} rule (change it in Settings → Out Attempts).</div>
+          </>
+        ) : <div className="text-sm text-gray-500">Log water followed by a pee to see this.</div>}
+      </Section>
+
+      <Section title={"Potty training (last " + days + " days)"}>
+        <PottyStatsPanel state={state} days={days} />
+      </Section>
+    </div>
+  );
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// PWA — service worker registration, update prompt, home-screen shortcuts
+
+async function registerServiceWorker() {
+  if (!hasWindow() || !("serviceWorker" in navigator)) return null;
+  try { await navigator.serviceWorker.register("/sw.js"); return await navigator.serviceWorker.ready; } catch (e) { console.warn("service worker registration failed", e); return null; }
+}
+
+const SW_UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// -> [updateReady, applyUpdate]. A new build's worker waits (see public/sw.js) until the user
+// taps Reload, so a half-filled form is never swapped out from under them.
+function useServiceWorkerUpdate() {
+  const [waiting, setWaiting] = useState(null);
+  const applied = useRef(false); // clients.claim() on a first install also changes the controller
+  useEffect(() => {
+    if (!hasWindow() || !("serviceWorker" in navigator)) return;
+    let cancelled = false, timer = null;
+    const track = (reg) => {
+      if (reg.waiting && navigator.serviceWorker.controller) setWaiting(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const sw = reg.installing; if (!sw) return;
+        sw.addEventListener("statechange", () => {
+          // no controller yet means this is the first install, not an update
+          if (sw.state === "installed" && navigator.serviceWorker.controller && !cancelled) setWaiting(sw);
+        });
+      });
+      timer = setInterval(() => { reg.update().catch(() => {}); }, SW_UPDATE_CHECK_MS);
+    };
+    registerServiceWorker().then(reg => { if (reg && !cancelled) track(reg); });
+    const onControllerChange = () => { if (applied.current) { applied.current = false; window.location.reload(); } };
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    return () => { cancelled = true; if (timer) clearInterval(timer); navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange); };
+  }, []);
+  return [!!waiting, () => { if (waiting) { applied.current = true; waiting.postMessage({ type: "SKIP_WAITING" }); } }];
+}
+
+// Manifest shortcuts open /?quick=pee (or pee,poop); log them once and clean the URL
+function takeQuickLogFromUrl() {
+  if (!hasWindow()) return [];
+  const params = new URLSearchParams(window.location.search);
+  const quick = params.get("quick");
+  if (!quick) return [];
+  params.delete("quick");
+  const rest = params.toString();
+  window.history.replaceState(null, "", window.location.pathname + (rest ? "?" + rest : ""));
+  return quick.split(",").filter(t => QUICK_LOG_TYPES.indexOf(t) !== -1);
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Reminders (Notification API + public/sw.js for the Done / Snooze actions)
+//
+// The page decides what is due; the service worker only shows notifications and hands
+// action clicks back. Completion is read from the synced state at fire time, so a task
+// finished on the other phone never fires here, and an open notification for it is closed
+// as soon as the change arrives. Fired/snoozed keys are per device under REMINDERS_KEY.
+
+const REMINDER_SNOOZE_MS = 10 * 60 * 1000;
+const REMINDER_STALE_MS = 2 * 3600 * 1000; // don't nag about things long overdue (e.g. after quiet hours)
+const REMINDER_CHECK_MS = 30 * 1000;
+
+function loadReminderLog() {
+  try { const r = JSON.parse(getStore().getItem(REMINDERS_KEY) || "{}"); return { fired: r.fired || {}, snoozed: r.snoozed || {} }; } catch { return { fired: {}, snoozed: {} }; }
+}
+function saveReminderLog(log, now) {
+  const keep = (m) => Object.fromEntries(Object.entries(m).filter(([, ts]) => ts > now - 2 * 24 * 3600 * 1000));
+  try { getStore().setItem(REMINDERS_KEY, JSON.stringify({ fired: keep(log.fired), snoozed: keep(log.snoozed) })); } catch (_) {}
+}
+
+// Quiet window may wrap midnight ("22:00"–"06:00")
+function inQuietHours(ts, quietStart, quietEnd) {
+  const start = hhmmOnDay(quietStart, ts), end = hhmmOnDay(quietEnd, ts);
+  if (start === end) return false;
+  return start < end ? ts >= start && ts < end : ts >= start || ts < end;
+}
+
+// Everything currently due and still pending. Keys include the due time, so a rescheduled
+// attempt reminds again. -> [{ key, kind: 'attempt'|'meal', id?, at, title, body }]
+function pendingReminders(state, now) {
+  const r = state.settings.reminders || {};
+  const out = [];
+  if (r.attempts) {
+    state.outAttempts.filter(a => attemptPending(a) && isFiniteTs(a.at) && a.at <= now && a.at > now - REMINDER_STALE_MS).forEach(a => {
+      out.push({ key: "attempt:" + a.id + ":" + a.at, kind: "attempt", id: a.id, at: a.at, title: attemptTarget(state, a) === "poop" ? "💩 Time for a poop attempt" : "🚽 Time for a pee attempt", body: "Scheduled for " + fmtTime(a.at) + (describeAttemptSource(state, a) ? " (" + describeAttemptSource(state, a) + ")" : "") });
+    });
+  }
+  if (r.meals) {
+    remainingMealsTs(state, now).filter(ts => ts <= now && ts > now - REMINDER_STALE_MS).forEach(ts => {
+      out.push({ key: "meal:" + ts, kind: "meal", at: ts, title: "🍽️ Meal time", body: "Scheduled for " + fmtTime(ts) });
+    });
+  }
+  return out;
+}
+
+// pendingReminders for every dog, each tagged with its dogId. With more than one dog the
+// title names the dog, and meal keys (which have no record id) get the dog's id too.
+function householdReminders(state, now) {
+  const multi = state.dogs.length > 1;
+  return [].concat(...state.dogs.map(d => pendingReminders(dogState(state, d.id), now).map(x => ({
+    ...x, dogId: d.id,
+    key: multi && x.kind === "meal" ? x.key + ":" + d.id : x.key,
+    title: multi ? d.name + ": " + x.title : x.title,
+  }))));
+}
+
+function dueReminders(state, now, log) {
+  const r = state.settings.reminders || {};
+  if (!r.enabled || inQuietHours(now, r.quietStart, r.quietEnd)) return [];
+  return householdReminders(state, now).filter(x => !log.fired[x.key] && !(log.snoozed[x.key] > now));
+}
+
+// Apply a notification action. Snoozing an attempt moves it (synced, so both phones follow);
+// meals have no record to move, so their snooze stays on this device.
+function applyReminderAction(s, reminder, action, now) {
+  if (reminder.kind === "attempt") {
+    const a = s.outAttempts.find(x => x.id === reminder.id);
+    if (!attemptPending(a)) return;
+    if (action === "done") markAttemptDone(s, a.id, now);
+    else if (action === "snooze") a.at = now + REMINDER_SNOOZE_MS;
+  } else if (reminder.kind === "meal" && action === "done") {
+    if (remainingMealsTs(s, now).indexOf(reminder.at) !== -1) logMeal(s, now);
+  }
+}
+
+function notificationsSupported() { return hasWindow() && "Notification" in window; }
+
+// -> whether the system showed it. Android Chrome throws on `new Notification` (it only allows
+// them through a service worker), and showNotification can reject, so callers fall back in-app.
+async function showReminder(reminder) {
+  const opts = { body: reminder.body, tag: "rue-" + reminder.key, data: reminder, renotify: false };
+  try {
+    const reg = await registerServiceWorker();
+    if (reg) {
+      await reg.showNotification(reminder.title, { ...opts, actions: [{ action: "done", title: "Done" }, { action: "snooze", title: "Snooze 10 min" }] });
+      return true;
+    }
+    if (!notificationsSupported()) return false;
+    new Notification(reminder.title, opts); // no actions without a service worker
+    return true;
+  } catch (e) {
+    console.warn("Rue Tracker: couldn't show a notification", e);
+    return false;
+  }
+}
+
+// Close shown notifications whose task is no longer pending (done here, or on the other phone)
+async function closeStaleReminders(state, now) {
+  if (!hasWindow() || !("serviceWorker" in navigator)) return;
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (!reg || !reg.getNotifications) return;
+  const live = new Set(householdReminders(state, now).map(x => x.key));
+  (await reg.getNotifications()).forEach(n => { if (n.data && n.data.key && !live.has(n.data.key)) n.close(); });
+}
+
+// onFallback(reminder) shows it inside the app when the system notification fails
+function useReminders(state, commit, onFallback) {
+  const enabled = !!(state.settings.reminders && state.settings.reminders.enabled);
+
+  // fire whatever is due, on every state change and every REMINDER_CHECK_MS
+  useEffect(() => {
+    if (!enabled || !notificationsSupported() || Notification.permission !== "granted") return;
+    const check = () => {
+      const now = Date.now();
+      const log = loadReminderLog();
+      const current = loadState();
+      dueReminders(current, now, log).forEach(r => {
+        log.fired[r.key] = now;
+        showReminder(r).then(shown => { if (!shown) onFallback(r); });
+      });
+      saveReminderLog(log, now);
+      closeStaleReminders(current, now).catch(() => {}); // best effort; they go stale on their own
+    };
+    check();
+    const t = setInterval(check, REMINDER_CHECK_MS);
+    return () => clearInterval(t);
+  }, [enabled, state]);
+
+  // actions from the service worker, or from the URL when it had to open a fresh window
+  useEffect(() => {
+    if (!hasWindow()) return;
+    const handle = (reminder, action) => {
+      if (!reminder || !reminder.key || (action !== "done" && action !== "snooze")) return;
+      const now = Date.now();
+      if (action === "snooze" && reminder.kind === "meal") {
+        const log = loadReminderLog();
+        delete log.fired[reminder.key];
+        log.snoozed[reminder.key] = now + REMINDER_SNOOZE_MS;
+        saveReminderLog(log, now);
+        return;
+      }
+      commit((s) => withDog(s, reminder.dogId, (v) => applyReminderAction(v, reminder, action, now)));
+    };
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("reminderAction")) {
+      try { handle(JSON.parse(params.get("reminder")), params.get("reminderAction")); } catch (_) {}
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+    if (!("serviceWorker" in navigator)) return;
+    const onMessage = (e) => { if (e.data && e.data.type === "rue-reminder-action") handle(e.data.reminder, e.data.action); };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, []);
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Training (inline timer, attempts/successes → %; reorder rows via arrows)
+
+// Training timer: the persisted activeSession holds pause/resume segments, { start, end? } each.
+// An open last segment means the timer is running; elapsed time is always recomputed from the
+// timestamps, so it survives reloads and background tabs and reads the same on both phones.
+
+function sessionElapsedMs(a, now) {
+  return ((a && a.segments) || []).reduce((t, g) => t + Math.max(0, (isFiniteTs(g.end) ? g.end : now) - g.start), 0);
+}
+function sessionRunning(a) { const g = a && a.segments && a.segments[a.segments.length - 1]; return !!g && !isFiniteTs(g.end); }
+function startActiveSession(s, commandId, now) { s.activeSession = { id: uid("sess"), commandId, startedAt: now, segments: [{ start: now }] }; }
+function pauseActiveSession(s, now) { const a = s.activeSession; if (sessionRunning(a)) a.segments[a.segments.length - 1].end = now; }
+function resumeActiveSession(s, now) { const a = s.activeSession; if (a && !sessionRunning(a)) a.segments.push({ start: now }); }
+function resetActiveSession(s, now) { const a = s.activeSession; if (a) a.segments = sessionRunning(a) ? [{ start: now }] : []; }
+// Stops the timer and clears activeSession; -> the finished session (results not filled in yet), or null
+function finishActiveSession(s, now) {
+  const a = s.activeSession; if (!a) return null;
+  s.activeSession = null;
+  const out = { id: a.id, commandId: a.commandId, startedAt: a.startedAt, endedAt: now, seconds: Math.round(sessionElapsedMs(a, now) / 1000) };
+  if (a.reps && a.reps.length) out.reps = a.reps.slice();
+  return out;
+}
+
+// Live tally: each rep is { at, result: 'success' | 'fail' | 'none' (no response) }
+const REP_RESULTS = { success: "✅ Success", fail: "❌ Fail", none: "😶 No response" };
+const REP_TREND_BLOCK = 5;
+function cleanReps(reps) { return (Array.isArray(reps) ? reps : []).filter(r => r && isFiniteTs(r.at) && REP_RESULTS[r.result]); }
+function addRep(s, result, now) { const a = s.activeSession; if (a && REP_RESULTS[result]) a.reps = (a.reps || []).concat({ at: now, result }); }
+function undoRep(s) { const a = s.activeSession; if (a && a.reps && a.reps.length) a.reps = a.reps.slice(0, -1); }
+// Every rep is an attempt; only a success counts as one
+function repTally(reps) {
+  const list = reps || [];
+  const n = (k) => list.filter(r => r.result === k).length;
+  return { attempts: list.length, successes: n("success"), fails: n("fail"), none: n("none") };
+}
+// Success rate per block of reps, in order — a falling line means it's time to stop
+function repTrend(reps, block = REP_TREND_BLOCK) {
+  const out = [];
+  for (let i = 0; i < (reps || []).length; i += block) {
+    const chunk = reps.slice(i, i + block);
+    out.push(chunk.filter(r => r.result === "success").length / chunk.length);
+  }
+  return out;
+}
+function reliabilityDropping(reps) {
+  const t = repTrend(reps);
+  return t.length >= 2 && (reps.length - REP_TREND_BLOCK * (t.length - 1)) >= REP_TREND_BLOCK && t[0] - t[t.length - 1] >= 0.3;
+}
+
+// Learned = the rolling average success rate over the last `windowSize` sessions reaches `threshold`
+function computeLearned(cmd, windowSize, threshold) {
+  const last = cmd.sessionHistory.slice(-windowSize); if (!last.length) return false; const avg = last.reduce((a, b) => a + (b.successRate || 0), 0) / last.length; return avg >= threshold;
+}
+
+// Learned = the success rate over the last `repCount` recorded reps (across sessions) reaches `threshold`
+function computeLearnedFromReps(cmd, repCount, threshold) {
+  const reps = [].concat(...cmd.sessionHistory.map(x => x.reps || [])).slice(-repCount);
+  if (!reps.length) return false;
+  return repTally(reps).successes / reps.length >= threshold;
+}
+function isLearned(cmd, settings) {
+  return settings.learnedBasis === "reps"
+    ? computeLearnedFromReps(cmd, settings.learnedReps, settings.learnedThreshold)
+    : computeLearned(cmd, settings.learnedWindow, settings.learnedThreshold);
+}
+
+function sessionPassed(x, settings) { return (x.successRate || 0) >= settings.learnedThreshold; }
+
+// After sessions change: total practice time and learned are derived from the history.
+// A learned command whose latest session (its refresher) falls below the threshold drops back to needs work.
+function recomputeCommand(cmd, settings) {
+  cmd.sessionHistory.sort((a, b) => a.startedAt - b.startedAt);
+  cmd.totalSeconds = cmd.sessionHistory.reduce((a, x) => a + (x.seconds || 0), 0);
+  // The latest session only acts as a refresher, and can take the badge away on its own,
+  // once the command was already learned before it.
+  const last = cmd.sessionHistory[cmd.sessionHistory.length - 1];
+  const refresher = !!last && wasEverLearned({ ...cmd, sessionHistory: cmd.sessionHistory.slice(0, -1) }, settings);
+  cmd.learned = isLearned(cmd, settings) && (!refresher || sessionPassed(last, settings));
+}
+
+// ───────── Practice planner ─────────
+// Needs-work commands come first (rusty ones, i.e. learned once, before new ones), longest
+// unpractised first. Learned commands come back for refreshers at growing intervals: each
+// passed session after learning moves one step along REFRESHER_DAYS; a failed one resets it.
+
+const REFRESHER_DAYS = [1, 3, 7, 14, 30];
+
+function wasEverLearned(cmd, settings) {
+  return cmd.sessionHistory.some((_, i) => isLearned({ ...cmd, sessionHistory: cmd.sessionHistory.slice(0, i + 1) }, settings));
+}
+
+// -> when a learned command's next refresher is due
+function refresherDueAt(cmd, settings) {
+  const hist = cmd.sessionHistory;
+  if (!cmd.learned || !hist.length) return undefined;
+  let passed = 0;
+  for (let i = hist.length - 1; i >= 0 && sessionPassed(hist[i], settings); i--) passed++;
+  const toLearn = settings.learnedBasis === "reps" ? 1 : settings.learnedWindow;
+  const step = Math.min(REFRESHER_DAYS.length - 1, Math.max(0, passed - toLearn));
+  return hist[hist.length - 1].startedAt + REFRESHER_DAYS[step] * DAY_MS;
+}
 
-  function logMealNow() {
-    const ev = { id: uid("ev"), type: "food", at: Date.now() };
-    commit((s) => { s.events.push(ev); if (s.settings.cloud && s.settings.cloud.enabled) Cloud.insertEvent(s.settings, ev); });
-  }
+// -> { items: [{ command, kind: 'rusty'|'new'|'needs-work'|'refresher', reason, minutes, doneToday }], upcoming: [{ command, dueAt }] }
+function practicePlan(state, now) {
+  const cfg = state.settings.practice;
+  const candidates = [], upcoming = [];
+  state.trainingCommands.filter(c => !c.archived).forEach(c => {
+    const last = c.sessionHistory[c.sessionHistory.length - 1];
+    const daysSince = last ? (now - last.startedAt) / DAY_MS : Infinity;
+    const doneToday = !!last && sameDay(last.startedAt, now);
+    if (!c.learned) {
+      const rusty = wasEverLearned(c, state.settings);
+      const kind = rusty ? "rusty" : last ? "needs-work" : "new";
+      const reason = rusty ? "Rusty — last refresher was " + Math.round((last.successRate || 0) * 100) + "%"
+        : last ? "Needs work — last practised " + (daysSince < 1 ? "today" : Math.floor(daysSince) + " day(s) ago") : "New — not practised yet";
+      candidates.push({ command: c, kind, reason, minutes: cfg.minutes, doneToday, priority: (rusty ? 300 : 200) + Math.min(daysSince, 30) });
+      return;
+    }
+    const dueAt = refresherDueAt(c, state.settings);
+    if (dueAt <= now || (doneToday && dueAt - now < DAY_MS)) {
+      candidates.push({ command: c, kind: "refresher", reason: "Refresher — learned, last practised " + Math.floor(daysSince) + " day(s) ago", minutes: cfg.refresherMinutes, doneToday, priority: 100 + Math.min((now - dueAt) / DAY_MS, 30) });
+    } else upcoming.push({ command: c, dueAt });
+  });
+  // what's already been practised today sinks, but stays visible as done
+  candidates.sort((a, b) => (a.doneToday - b.doneToday) || (b.priority - a.priority));
+  return { items: candidates.slice(0, cfg.perDay), upcoming: upcoming.sort((a, b) => a.dueAt - b.dueAt) };
+}
 
-  function rowLabel(item) {
-    if (item.kind === "meal") return fmtTime(item.at) + " • 🍽️ Meal";
-    return fmtTime(item.at) + " • 🚽 Pee attempt";
-  }
+// fields: { seconds?, attempts?, successes? } — successes are clamped to attempts
+function editTrainingSession(s, commandId, sessionId, fields) {
+  const cmd = s.trainingCommands.find(c => c.id === commandId); if (!cmd) return;
+  const sess = cmd.sessionHistory.find(x => x.id === sessionId); if (!sess) return;
+  if (fields.seconds !== undefined) sess.seconds = Math.max(0, Math.round(fields.seconds));
+  if (fields.attempts !== undefined) sess.attempts = Math.max(0, Math.floor(fields.attempts));
+  if (fields.successes !== undefined) sess.successes = Math.max(0, Math.floor(fields.successes));
+  sess.successes = Math.min(sess.successes || 0, sess.attempts || 0);
+  sess.successRate = sess.attempts > 0 ? sess.successes / sess.attempts : 0;
+  recomputeCommand(cmd, s.settings);
+}
 
-  return (
-    <div className="mt-4">
-      <div className="rounded-2xl bg-blue-50 border border-blue-100 p-3 text-sm">
-        <div className="font-semibold">Today's Schedule</div>
-        {suggested && <div className="mt-1">💡 Suggested next pee window around <b>{fmtTime(suggested)}</b> (based on yesterday).</div>}
-      </div>
+function removeTrainingSession(s, commandId, sessionId) {
+  const cmd = s.trainingCommands.find(c => c.id === commandId); if (!cmd) return;
+  cmd.sessionHistory = cmd.sessionHistory.filter(x => x.id !== sessionId);
+  recomputeCommand(cmd, s.settings);
+}
 
-      <Section title="Today (meals + pee attempts)">
-        <ul className="divide-y">
-          {schedule.map((item) => (
-            <li key={item.id} className="py-2 flex items-center justify-between text-sm">
-              <span>{rowLabel(item)}</span>
-              <div className="flex gap-2">
-                {item.kind === "meal" ? (
-                  <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={logMealNow}>Log Meal</button>
-                ) : (
-                  <>
-                    <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => markPeeDone(item.id)}>Done</button>
-                    <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => commit(s=>{ const a=s.outAttempts.find(x=>x.id===item.id); if(!a)return; const id=a.id; s.outAttempts=s.outAttempts.filter(x=>x.id!==id); if (s.settings.cloud && s.settings.cloud.enabled) Cloud.deleteAttempt(s.settings, id); })}>Delete</button>
-                  </>
-                )}
-              </div>
-            </li>
-          ))}
-          {!schedule.length && <div className="text-sm text-gray-500">Nothing scheduled yet.</div>}
-        </ul>
-      </Section>
-    </div>
-  );
+// Training events tagged with the old name follow a rename
+function renameCommand(s, id, name) {
+  const cmd = s.trainingCommands.find(c => c.id === id); if (!cmd || !name.trim()) return;
+  const old = cmd.name;
+  cmd.name = name.trim();
+  s.events.forEach(e => { if (e.type === "training" && e.details && e.details.command === old) e.details.command = cmd.name; });
 }
 
-// ────────────────────────────────────────────────────────────────────────────────
-// Training (inline timer, attempts/successes → %; reorder rows via arrows)
+// Deleting a command drops its sessions too (mutate deletes them from the cloud before the command)
+function removeCommand(s, id) {
+  s.trainingCommands = s.trainingCommands.filter(c => c.id !== id);
+  if (s.activeSession && s.activeSession.commandId === id) s.activeSession = null;
+}
 
 function TrainingView({ state, commit }) {
   const [newName, setNewName] = useState("");
-  const [running, setRunning] = useState(false);
-  const [seconds, setSeconds] = useState(0);
 
   // Post-session inputs
   const [resultOpen, setResultOpen] = useState(false);
@@ -543,44 +3204,50 @@ function TrainingView({ state, commit }) {
   const [successesVal, setSuccessesVal] = useState(0);
   const [pendingSession, setPendingSession] = useState(null);
 
-  // Use array order (no priority)
-  const commands = state.trainingCommands.slice();
+  // Use array order (no priority); archived commands are listed separately
+  const commands = state.trainingCommands.filter(c => !c.archived);
+  const archived = state.trainingCommands.filter(c => c.archived);
+  const [detailId, setDetailId] = useState(null);
+  const detail = state.trainingCommands.find(c => c.id === detailId);
 
+  const active = state.activeSession;
+  const running = sessionRunning(active);
+  // one timer per household: a session running for another dog blocks starting one here
+  const otherDogSession = !!active && !state.trainingCommands.some(c => c.id === active.commandId);
+  const [, setTick] = useState(0); // re-render every second while the timer runs
   useEffect(() => {
     let t;
-    if (running) t = window.setInterval(() => setSeconds((x) => x + 1), 1000);
+    if (running) t = window.setInterval(() => setTick(Date.now()), 1000);
     return () => { if (t) window.clearInterval(t); };
   }, [running]);
+  const seconds = active ? Math.floor(sessionElapsedMs(active, Date.now()) / 1000) : 0;
 
   function addCommand() {
     const name = (newName || "").trim(); if (!name) return;
     const cmd = { id: uid("cmd"), name, totalSeconds: 0, learned: false, sessionHistory: [] };
-    commit((s) => { s.trainingCommands.push(cmd); if (s.settings.cloud && s.settings.cloud.enabled) Cloud.insertCommand(s.settings, cmd); });
+    commit((s) => { s.trainingCommands.push(cmd); });
     setNewName("");
   }
 
-  function computeLearned(cmd, windowSize, threshold) {
-    const last = cmd.sessionHistory.slice(-windowSize); if (!last.length) return false; const avg = last.reduce((a, b) => a + (b.successRate || 0), 0) / last.length; return avg >= threshold;
-  }
-
   function startSession(commandId) {
     if (state.activeSession) { alert("A session is already active. End or pause it first."); return; }
-    const sess = { id: uid("sess"), commandId, startedAt: Date.now() };
-    setSeconds(0); setRunning(true); commit((s) => { s.activeSession = sess; });
+    commit((s) => { if (!s.activeSession) startActiveSession(s, commandId, Date.now()); });
   }
 
-  function pauseSession() { setRunning(false); } function resumeSession() { setRunning(true); } function resetTimer() { setSeconds(0); }
+  function pauseSession() { commit((s) => pauseActiveSession(s, Date.now())); }
+  function resumeSession() { commit((s) => resumeActiveSession(s, Date.now())); }
+  function resetTimer() { commit((s) => resetActiveSession(s, Date.now())); }
 
+  // Either phone can end it; the one that does fills in the results
   function endSession() {
-    const active = state.activeSession; if (!active) return;
-    setRunning(false);
-    const ended = { ...active, endedAt: Date.now(), seconds };
+    let ended = null;
+    commit((s) => { ended = finishActiveSession(s, Date.now()); });
+    if (!ended) return;
+    const tally = repTally(ended.reps);
     setPendingSession(ended);
-    setAttemptsVal(0);
-    setSuccessesVal(0);
+    setAttemptsVal(tally.attempts);
+    setSuccessesVal(tally.successes);
     setResultOpen(true);
-    commit((s) => { s.activeSession = null; });
-    setSeconds(0);
   }
 
   function confirmResults() {
@@ -595,9 +3262,7 @@ function TrainingView({ state, commit }) {
       const cmd = s.trainingCommands.find((c) => c.id === a.commandId);
       if (!cmd) return;
       cmd.sessionHistory.push(a);
-      cmd.totalSeconds += a.seconds || 0;
-      cmd.learned = computeLearned(cmd, s.settings.learnedWindow, s.settings.learnedThreshold);
-      if (s.settings.cloud && s.settings.cloud.enabled) { Cloud.insertSession(s.settings, a); Cloud.updateCommand(s.settings, cmd); }
+      recomputeCommand(cmd, s.settings);
     });
     setPendingSession(null); setResultOpen(false);
   }
@@ -613,14 +3278,37 @@ function TrainingView({ state, commit }) {
       if (j === idx) return;
       const arr = s.trainingCommands;
       const tmp = arr[idx]; arr[idx] = arr[j]; arr[j] = tmp;
-      if (s.settings.cloud && s.settings.cloud.enabled) { Cloud.updateCommand(s.settings, arr[idx]); Cloud.updateCommand(s.settings, arr[j]); }
     });
   }
 
-  const active = state.activeSession;
+  // Keyed on the id so the draft name and edit state don't carry over to another command.
+  if (detail) return <CommandDetail key={detail.id} command={detail} state={state} commit={commit} onBack={() => setDetailId(null)} />;
+
+  const plan = practicePlan(state, Date.now());
 
   return (
     <div className="mt-4">
+      {otherDogSession && (
+        <div className="rounded-2xl bg-amber-50 border border-amber-100 p-3 text-sm">⏱️ A training session is running for another dog — switch to them to end it before starting one here.</div>
+      )}
+      <Section title="Today's practice plan">
+        <ul className="divide-y text-sm">
+          {plan.items.map(p => (
+            <li key={p.command.id} className={"py-2 flex items-center justify-between gap-2" + (p.doneToday ? " text-gray-400" : "")}>
+              <span>
+                <span className="font-medium">{p.doneToday ? "✓ " : ""}{p.command.name}</span> — {p.minutes} min
+                <div className="text-xs">{p.reason}</div>
+              </span>
+              {!active && !resultOpen && !p.doneToday && <button className="px-2 py-1 rounded-lg border" onClick={() => startSession(p.command.id)}>Start</button>}
+            </li>
+          ))}
+          {!plan.items.length && <div className="text-gray-500">Nothing due today — everything is learned and fresh. 🎉</div>}
+        </ul>
+        {plan.upcoming.length > 0 && (
+          <div className="text-xs text-gray-500">Next refreshers: {plan.upcoming.slice(0, 3).map(u => u.command.name + " " + new Date(u.dueAt).toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })).join(", ")}</div>
+        )}
+      </Section>
+
       <Section title="Commands">
         <div className="space-y-3">
           {commands.map((c) => {
@@ -634,7 +3322,7 @@ function TrainingView({ state, commit }) {
               <div key={c.id} className={"p-3 border rounded-xl" + learnedCls}>
                 <div className="flex items-center justify-between">
                   <div>
-                    <div className="font-semibold">{c.name} {c.learned ? "🎉" : ""}</div>
+                    <button className="font-semibold hover:underline text-left" onClick={() => setDetailId(c.id)}>{c.name} {c.learned ? "🎉" : ""}</button>
                     <div className="text-xs text-gray-600">Practice: {Math.round(c.totalSeconds / 60)} min{last ? " • Last: " + lastSummary : ""}</div>
                   </div>
                   <div className="flex items-center gap-2">
@@ -652,11 +3340,17 @@ function TrainingView({ state, commit }) {
                 </div>
 
                 {active && active.commandId === c.id && (
-                  <div className="mt-2">
+                  <div className="mt-2 flex items-center gap-3">
                     <InlineTimer seconds={seconds} />
+                    {!running && <span className="text-xs text-gray-500">paused</span>}
+                    <button className="px-2 py-1 rounded-lg border text-xs" onClick={resetTimer}>Reset</button>
                   </div>
                 )}
 
+                {active && active.commandId === c.id && (
+                  <RepTally reps={active.reps || []} onRep={(result) => commit((s) => addRep(s, result, Date.now()))} onUndo={() => commit(undoRep)} />
+                )}
+
                 {isPendingForThis && (
                   <div className="mt-3 p-3 border rounded-xl bg-gray-50">
                     <div className="text-sm font-medium">Training summary</div>
@@ -692,6 +3386,138 @@ function TrainingView({ state, commit }) {
           <button className="px-3 py-2 rounded-xl border" onClick={addCommand}>Add</button>
         </div>
       </Section>
+
+      {archived.length > 0 && (
+        <Section title="Archived">
+          <ul className="divide-y text-sm">
+            {archived.map(c => (
+              <li key={c.id} className="py-2 flex items-center justify-between">
+                <button className="hover:underline" onClick={() => setDetailId(c.id)}>{c.name} {c.learned ? "🎉" : ""}</button>
+                <button className="px-2 py-1 rounded-lg border" onClick={() => commit(s => { const x = s.trainingCommands.find(y => y.id === c.id); if (x) x.archived = false; })}>Unarchive</button>
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+    </div>
+  );
+}
+
+function CommandDetail({ command, state, commit, onBack }) {
+  const [name, setName] = useState(command.name);
+  const [editingId, setEditingId] = useState(null);
+  const [minutesVal, setMinutesVal] = useState("");
+  const [attemptsVal, setAttemptsVal] = useState("");
+  const [successesVal, setSuccessesVal] = useState("");
+  const sessions = command.sessionHistory.slice().reverse();
+  const pct = (r) => Math.round((r || 0) * 100) + "%";
+
+  function startEdit(x) { setEditingId(x.id); setMinutesVal(String(Math.round((x.seconds || 0) / 6) / 10)); setAttemptsVal(String(x.attempts || 0)); setSuccessesVal(String(x.successes || 0)); }
+  function saveEdit() {
+    commit(s => editTrainingSession(s, command.id, editingId, { seconds: (parseFloat(minutesVal) || 0) * 60, attempts: parseInt(attemptsVal, 10) || 0, successes: parseInt(successesVal, 10) || 0 }));
+    setEditingId(null);
+  }
+  function deleteSession(id) {
+    if (hasWindow() && !confirm("Delete this session?")) return;
+    commit(s => removeTrainingSession(s, command.id, id));
+  }
+  function rename() {
+    const n = name.trim(); if (!n || n === command.name) return;
+    if (state.trainingCommands.some(c => c.id !== command.id && c.name.toLowerCase() === n.toLowerCase())) { alert("There is already a command called \"" + n + "\"."); return; }
+    commit(s => renameCommand(s, command.id, n));
+  }
+  function toggleArchived() { commit(s => { const c = s.trainingCommands.find(x => x.id === command.id); if (c) c.archived = !c.archived; }); }
+  function remove() {
+    if (!hasWindow() || !confirm("Delete \"" + command.name + "\" and its " + command.sessionHistory.length + " session(s)? Archive it instead to keep the history.")) return;
+    commit(s => removeCommand(s, command.id));
+    onBack();
+  }
+
+  return (
+    <div className="mt-4">
+      <button className="px-3 py-2 rounded-xl border text-sm" onClick={onBack}>← All commands</button>
+
+      <Section title={command.name + (command.learned ? " 🎉" : "") + (command.archived ? " (archived)" : "")}>
+        <div className="text-sm text-gray-600">
+          {command.sessionHistory.length} sessions · {Math.round(command.totalSeconds / 60)} min practice · {command.learned ? "learned" : "learning"} ({state.settings.learnedBasis === "reps" ? "last " + state.settings.learnedReps + " reps" : "avg of last " + state.settings.learnedWindow + " sessions"} ≥ {pct(state.settings.learnedThreshold)})
+        </div>
+        <div className="flex gap-2">
+          <input value={name} onChange={(e) => setName(e.target.value)} className="flex-1 px-3 py-2 border rounded-xl" />
+          <button className="px-3 py-2 rounded-xl border" disabled={!name.trim() || name.trim() === command.name} onClick={rename}>Rename</button>
+        </div>
+        <div className="flex gap-2">
+          <button className="px-3 py-2 rounded-xl border" onClick={toggleArchived}>{command.archived ? "Unarchive" : "Archive"}</button>
+          <button className="px-3 py-2 rounded-xl border text-red-600" onClick={remove}>Delete command</button>
+        </div>
+      </Section>
+
+      <Section title="Success rate">
+        <LineChart points={command.sessionHistory.map(x => ({ label: new Date(x.startedAt).toLocaleDateString([], { month: "numeric", day: "numeric" }), value: x.successRate || 0 }))} formatY={pct} />
+      </Section>
+
+      <Section title="Sessions (newest first)">
+        <ul className="divide-y text-sm">
+          {sessions.map(x => (
+            <li key={x.id} className="py-2">
+              <div className="flex items-center justify-between gap-2">
+                <span>
+                  {fmtDateTime(x.startedAt)} — {Math.round((x.seconds || 0) / 60)} min · {x.successes || 0}/{x.attempts || 0} ({pct(x.successRate)})
+                  <RepStrip reps={x.reps} />
+                  {repTrend(x.reps).length > 1 && <span className="text-xs text-gray-500">per {REP_TREND_BLOCK} reps: {repTrend(x.reps).map(pct).join(" → ")}</span>}
+                </span>
+                {editingId !== x.id && (
+                  <div className="flex gap-2">
+                    <button className="px-2 py-1 rounded-lg border" onClick={() => startEdit(x)}>Edit</button>
+                    <button className="px-2 py-1 rounded-lg border hover:bg-gray-50" onClick={() => deleteSession(x.id)}>Delete</button>
+                  </div>
+                )}
+              </div>
+              {editingId === x.id && (
+                <div className="mt-2 p-2 border rounded-xl bg-gray-50 flex flex-wrap gap-2 items-center">
+                  <label>Minutes <input type="number" min={0} value={minutesVal} onChange={(e) => setMinutesVal(e.target.value)} className="px-2 py-1 border rounded-lg w-20" /></label>
+                  <label>Attempts <input type="number" min={0} value={attemptsVal} onChange={(e) => setAttemptsVal(e.target.value)} className="px-2 py-1 border rounded-lg w-20" /></label>
+                  <label>Successes <input type="number" min={0} value={successesVal} onChange={(e) => setSuccessesVal(e.target.value)} className="px-2 py-1 border rounded-lg w-20" /></label>
+                  <button className="px-2 py-1 rounded-lg border" disabled={(parseInt(successesVal, 10) || 0) > (parseInt(attemptsVal, 10) || 0)} onClick={saveEdit}>Save</button>
+                  <button className="px-2 py-1 rounded-lg border" onClick={() => setEditingId(null)}>Cancel</button>
+                </div>
+              )}
+            </li>
+          ))}
+          {!sessions.length && <div className="text-sm text-gray-500">No sessions yet.</div>}
+        </ul>
+      </Section>
+    </div>
+  );
+}
+
+function RepTally({ reps, onRep, onUndo }) {
+  const tally = repTally(reps);
+  const trend = repTrend(reps);
+  const colors = { success: " bg-green-50 border-green-400", fail: " bg-red-50 border-red-300", none: " bg-gray-50" };
+  return (
+    <div className="mt-3">
+      <div className="grid grid-cols-3 gap-2">
+        {Object.keys(REP_RESULTS).map(k => (
+          <button key={k} className={"py-5 rounded-2xl border text-lg font-semibold" + colors[k]} onClick={() => onRep(k)}>{REP_RESULTS[k]}</button>
+        ))}
+      </div>
+      <div className="mt-2 flex items-center justify-between text-sm">
+        <span>{tally.successes}/{tally.attempts} ({tally.attempts ? Math.round(tally.successes / tally.attempts * 100) : 0}%) · ❌ {tally.fails} · 😶 {tally.none}</span>
+        <button className="px-2 py-1 rounded-lg border text-xs" disabled={!reps.length} onClick={onUndo}>Undo last</button>
+      </div>
+      <RepStrip reps={reps} />
+      {trend.length > 1 && <div className="text-xs text-gray-600">Per {REP_TREND_BLOCK} reps: {trend.map(r => Math.round(r * 100) + "%").join(" → ")}</div>}
+      {reliabilityDropping(reps) && <div className="mt-1 text-sm rounded-xl bg-amber-50 border border-amber-200 p-2">📉 Reliability is dropping — a good moment to end on a win.</div>}
+    </div>
+  );
+}
+
+function RepStrip({ reps }) {
+  if (!reps || !reps.length) return null;
+  const dot = { success: "bg-green-500", fail: "bg-red-400", none: "bg-gray-300" };
+  return (
+    <div className="flex flex-wrap gap-0.5 mt-1">
+      {reps.map((r, i) => <span key={i} title={fmtTime(r.at) + " — " + REP_RESULTS[r.result]} className={"inline-block w-2 h-2 rounded-full " + dot[r.result]} />)}
     </div>
   );
 }
@@ -705,49 +3531,202 @@ function InlineTimer({ seconds }) {
 // ────────────────────────────────────────────────────────────────────────────────
 // Settings (includes Cloud Sync panel)
 
-function SettingsView({ state, commit }) {
-  const [waterToOut, setWaterToOut] = useState(state.settings.waterToOutMinutes.toString());
-  const [method, setMethod] = useState(state.settings.peeSuggestionMethod);
+// Edits a draft copy of the rules; SettingsView's Save writes them
+function OutAttemptRulesEditor({ rules, onChange }) {
+  const set = (id, patch) => onChange(rules.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  const select = (value, options, onPick) => (
+    <select value={value} onChange={(e) => onPick(e.target.value)} className="px-2 py-1 border rounded-lg">
+      {Object.keys(options).map(k => <option key={k} value={k}>{options[k]}</option>)}
+    </select>
+  );
+  return (
+    <div className="space-y-2 text-sm">
+      {rules.map(r => (
+        <div key={r.id} className={"flex flex-wrap items-center gap-2" + (r.enabled ? "" : " opacity-60")}>
+          <input type="checkbox" checked={r.enabled} onChange={(e) => set(r.id, { enabled: e.target.checked })} />
+          <span>After</span>{select(r.trigger, RULE_TRIGGERS, v => set(r.id, { trigger: v }))}
+          {select(r.target, RULE_TARGETS, v => set(r.id, { target: v }))}
+          <span>in</span><input value={r.minutes} onChange={(e) => set(r.id, { minutes: e.target.value })} className="px-2 py-1 border rounded-lg w-16" /><span>min;</span>
+          {select(r.dedup, RULE_DEDUP, v => set(r.id, { dedup: v }))}
+          <button className="px-2 py-1 rounded-lg border" onClick={() => onChange(rules.filter(x => x.id !== r.id))}>✕</button>
+        </div>
+      ))}
+      {!rules.length && <div className="text-gray-500">No rules — nothing is scheduled automatically.</div>}
+      <div className="flex gap-2">
+        <button className="px-2 py-1 rounded-lg border" onClick={() => onChange(rules.concat({ id: uid("rule"), trigger: "food", target: "poop", minutes: 20, dedup: "latest", enabled: true }))}>+ Add rule</button>
+        <button className="px-2 py-1 rounded-lg border" onClick={() => onChange(defaultOutAttemptRules())}>Restore defaults</button>
+      </div>
+      <div className="text-xs text-gray-500">When several triggers come before the dog goes: "keep the first" leaves the attempt where it is, "push back" moves it to the newest trigger, "one per trigger" schedules them all. A pee or poop clears its pending attempts.</div>
+    </div>
+  );
+}
+
+function DogProfileForm({ initial, onSave, onCancel, saveLabel }) {
+  const [name, setName] = useState(initial.name || "");
+  const [emoji, setEmoji] = useState(initial.emoji || "🐶");
+  const [birthdate, setBirthdate] = useState(initial.birthdate || "");
+  const [photo, setPhoto] = useState(initial.photo || "");
+  async function onPhoto(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try { setPhoto(await readPhotoThumb(file)); } catch (err) { alert(err.message); }
+  }
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <input value={emoji} onChange={(e) => setEmoji(e.target.value)} className="w-12 px-2 py-1 border rounded-lg text-center" aria-label="Emoji" />
+      <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name" className="flex-1 min-w-[8rem] px-2 py-1 border rounded-lg" />
+      <label className="text-gray-600">born <input type="date" value={birthdate} max={dateInputValue(Date.now())} onChange={(e) => setBirthdate(e.target.value)} className="px-2 py-1 border rounded-lg" /></label>
+      <label className="px-2 py-1 rounded-lg border cursor-pointer">
+        {photo ? <img src={photo} alt="" className="inline-block w-5 h-5 rounded-full object-cover" /> : "Photo…"}
+        <input type="file" accept="image/*" className="hidden" onChange={onPhoto} />
+      </label>
+      {photo && <button className="px-2 py-1 rounded-lg border" onClick={() => setPhoto("")}>No photo</button>}
+      <button className="px-2 py-1 rounded-lg border" disabled={!name.trim()} onClick={() => onSave({ name: name.trim(), emoji: emoji.trim() || "🐶", birthdate, photo: photo || undefined })}>{saveLabel}</button>
+      {onCancel && <button className="px-2 py-1 rounded-lg border" onClick={onCancel}>Cancel</button>}
+    </div>
+  );
+}
+
+// Household-level: add, edit and remove profiles
+function DogProfiles({ state, commit, activeDogId }) {
+  const [editingId, setEditingId] = useState(null);
+  const [adding, setAdding] = useState(false);
+
+  function saveDog(id, fields) {
+    commit((s) => {
+      const d = s.dogs.find(x => x.id === id); if (!d) return;
+      Object.assign(d, fields);
+      if (!fields.photo) delete d.photo;
+    });
+    setEditingId(null);
+  }
+  function add(fields) {
+    commit((s) => { const d = addDog(s, fields, activeDogId); s.activeDogId = d.id; });
+    setAdding(false);
+  }
+  function remove(d) {
+    if (!hasWindow() || !confirm("Delete " + d.name + "'s profile with all of their logs, attempts and training? This can't be undone.")) return;
+    commit((s) => { removeDog(s, d.id); });
+  }
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="font-semibold mb-2">Dogs</div>
+      <ul className="divide-y">
+        {state.dogs.map(d => (
+          <li key={d.id} className="py-2">
+            {editingId === d.id ? (
+              <DogProfileForm initial={d} saveLabel="Save" onSave={(f) => saveDog(d.id, f)} onCancel={() => setEditingId(null)} />
+            ) : (
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <span><DogAvatar dog={d} /> <span className="font-medium">{d.name}</span>{dogAge(d.birthdate, Date.now()) && <span className="text-gray-500"> · {dogAge(d.birthdate, Date.now())}</span>}{d.id === activeDogId && <span className="text-gray-500"> · showing</span>}</span>
+                <div className="flex gap-2">
+                  <button className="px-2 py-1 rounded-lg border" onClick={() => setEditingId(d.id)}>Edit</button>
+                  {state.dogs.length > 1 && <button className="px-2 py-1 rounded-lg border text-red-700" onClick={() => remove(d)}>Delete</button>}
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {adding
+        ? <div className="mt-2"><DogProfileForm initial={{}} saveLabel="Add" onSave={add} onCancel={() => setAdding(false)} /></div>
+        : <button className="mt-2 px-3 py-2 rounded-xl border text-sm" onClick={() => setAdding(true)}>+ Add a dog</button>}
+      <div className="text-xs text-gray-500 mt-1">A new dog starts with a copy of the current dog's schedule settings and an empty log.</div>
+    </div>
+  );
+}
+
+function SettingsView({ state, commit, household, commitHousehold }) {
+  const [rules, setRules] = useState(state.settings.outAttemptRules);
+  const [method, setMethod] = useState(state.settings.prediction.mode === "model" ? "model" : state.settings.peeSuggestionMethod);
+  const [predWindow, setPredWindow] = useState(state.settings.prediction.windowDays.toString());
+  const [halfLife, setHalfLife] = useState(state.settings.prediction.halfLifeDays.toString());
   const [threshold, setThreshold] = useState(state.settings.learnedThreshold.toString());
   const [windowSize, setWindowSize] = useState(state.settings.learnedWindow.toString());
+  const [learnedBasis, setLearnedBasis] = useState(state.settings.learnedBasis);
+  const [learnedReps, setLearnedReps] = useState(state.settings.learnedReps.toString());
+  const [perDay, setPerDay] = useState(state.settings.practice.perDay.toString());
+  const [practiceMinutes, setPracticeMinutes] = useState(state.settings.practice.minutes.toString());
+  const [refresherMinutes, setRefresherMinutes] = useState(state.settings.practice.refresherMinutes.toString());
   const [mealsText, setMealsText] = useState(state.settings.mealSchedule.times.join(", "));
+  const [weekendMealsText, setWeekendMealsText] = useState(state.settings.mealSchedule.weekendTimes.join(", "));
+  const [mealTolerance, setMealTolerance] = useState(state.settings.mealSchedule.toleranceMinutes.toString());
+  const [mealLateAfter, setMealLateAfter] = useState(state.settings.mealSchedule.lateAfterMinutes.toString());
+  const [accidentSooner, setAccidentSooner] = useState(state.settings.accidents.rescheduleSooner);
+  const [accidentToOut, setAccidentToOut] = useState(state.settings.accidents.minutesToNextAttempt.toString());
 
   function save() {
-    const w = Math.max(1, parseInt(waterToOut, 10) || 25);
     const thr = Math.min(1, Math.max(0, parseFloat(threshold)));
     const win = Math.max(1, parseInt(windowSize, 10) || 3);
     const parsedMeals = mealsText.split(/[\,\n]/).map(s => s.trim()).filter(Boolean);
+    const parsedWeekendMeals = weekendMealsText.split(/[\,\n]/).map(s => s.trim()).filter(Boolean);
     commit((s) => {
-      s.settings.waterToOutMinutes = w;
-      s.settings.peeSuggestionMethod = method;
+      s.settings.outAttemptRules = normalizeOutAttemptRules(rules.map(r => ({ ...r, minutes: Math.max(0, parseFloat(r.minutes) || 0) })));
+      if (method === "model") s.settings.prediction.mode = "model";
+      else { s.settings.prediction.mode = "simple"; s.settings.peeSuggestionMethod = method; }
+      s.settings.prediction.windowDays = Math.min(60, Math.max(1, parseInt(predWindow, 10) || 7));
+      s.settings.prediction.halfLifeDays = Math.max(0.5, parseFloat(halfLife) || 3);
       s.settings.learnedThreshold = thr;
       s.settings.learnedWindow = win;
+      s.settings.learnedBasis = learnedBasis;
+      s.settings.learnedReps = Math.max(1, parseInt(learnedReps, 10) || 20);
+      // The learned badges depend on these, so re-grade every command against the new rule.
+      s.trainingCommands.forEach(c => recomputeCommand(c, s.settings));
+      s.settings.practice = {
+        perDay: Math.max(1, parseInt(perDay, 10) || 3),
+        minutes: Math.max(1, parseFloat(practiceMinutes) || 5),
+        refresherMinutes: Math.max(1, parseFloat(refresherMinutes) || 2),
+      };
       s.settings.mealSchedule.times = parsedMeals;
+      s.settings.mealSchedule.weekendTimes = parsedWeekendMeals;
+      s.settings.mealSchedule.toleranceMinutes = Math.max(1, parseInt(mealTolerance, 10) || 90);
+      s.settings.mealSchedule.lateAfterMinutes = Math.max(0, parseInt(mealLateAfter, 10) || 0);
+      s.settings.accidents.rescheduleSooner = accidentSooner;
+      s.settings.accidents.minutesToNextAttempt = Math.max(1, parseInt(accidentToOut, 10) || 45);
     });
     if (hasWindow()) alert("Settings saved");
   }
 
   function resetAll() {
     if (!hasWindow() || !confirm("This will clear all data and reset defaults. Continue?")) return;
+    if (confirm("Download a full backup before resetting?")) downloadBackup(household || state);
+    backupRawState(getStore().getItem(LS_KEY), "before Reset All Data");
     const d = defaultState(); saveState(d); window.location.reload();
   }
 
   return (
     <div className="mt-4 space-y-4">
+      {household && <DogProfiles state={household} commit={commitHousehold} activeDogId={state.dog.id} />}
+      {household && household.dogs.length > 1 && (
+        <div className="text-sm text-gray-600">The schedule and training settings below are {state.dog.name}'s. Switch dogs at the top to edit another profile.</div>
+      )}
       <div className="p-3 border rounded-xl">
         <div className="font-semibold mb-2">Out Attempts</div>
-        <label className="text-sm block mb-2">(Legacy) Water ➜ out attempt after minutes</label>
-        <input value={waterToOut} onChange={(e) => setWaterToOut(e.target.value)} className="px-3 py-2 border rounded-xl w-40" />
-        <div className="text-xs text-gray-500 mt-1">Note: Pee attempts now follow the 1h20m-after-first-water rule.</div>
+        <OutAttemptRulesEditor rules={rules} onChange={setRules} />
+        <label className="flex items-center gap-2 text-sm mt-2">
+          <input type="checkbox" checked={accidentSooner} onChange={(e) => setAccidentSooner(e.target.checked)} /> After an accident, bring the next attempt forward to within
+          <input value={accidentToOut} onChange={(e) => setAccidentToOut(e.target.value)} className="px-2 py-1 border rounded-lg w-16" /> min
+        </label>
       </div>
 
       <div className="p-3 border rounded-xl">
         <div className="font-semibold mb-2">Pee Suggestion</div>
         <label className="text-sm block mb-2">Method</label>
         <select value={method} onChange={(e) => setMethod(e.target.value)} className="px-3 py-2 border rounded-xl">
-          <option value="median">Median</option>
-          <option value="mean">Mean</option>
+          <option value="model">Model (multi-day, water/meals/waking)</option>
+          <option value="median">Simple — yesterday's median</option>
+          <option value="mean">Simple — yesterday's mean</option>
         </select>
+        {method === "model" && (
+          <div className="flex gap-3 items-center text-sm mt-2">
+            <label>Learn from (days)</label>
+            <input value={predWindow} onChange={(e) => setPredWindow(e.target.value)} className="px-3 py-2 border rounded-xl w-20" />
+            <label>Half-life (days)</label>
+            <input value={halfLife} onChange={(e) => setHalfLife(e.target.value)} className="px-3 py-2 border rounded-xl w-20" />
+          </div>
+        )}
       </div>
 
       <div className="p-3 border rounded-xl">
@@ -755,23 +3734,51 @@ function SettingsView({ state, commit }) {
         <div className="flex gap-3 items-center text-sm">
           <label>Threshold (0-1)</label>
           <input value={threshold} onChange={(e) => setThreshold(e.target.value)} className="px-3 py-2 border rounded-xl w-24" />
-          <label>Window (sessions)</label>
-          <input value={windowSize} onChange={(e) => setWindowSize(e.target.value)} className="px-3 py-2 border rounded-xl w-24" />
+          <select value={learnedBasis} onChange={(e) => setLearnedBasis(e.target.value)} className="px-3 py-2 border rounded-xl">
+            <option value="sessions">Avg of last sessions</option>
+            <option value="reps">Last reps (live tally)</option>
+          </select>
+          {learnedBasis === "sessions" ? (
+            <><label>Window (sessions)</label><input value={windowSize} onChange={(e) => setWindowSize(e.target.value)} className="px-3 py-2 border rounded-xl w-24" /></>
+          ) : (
+            <><label>Reps</label><input value={learnedReps} onChange={(e) => setLearnedReps(e.target.value)} className="px-3 py-2 border rounded-xl w-24" /></>
+          )}
+        </div>
+        <div className="text-xs text-gray-500 mt-1">A learned command whose latest refresher falls below the threshold goes back to needs work.</div>
+        <div className="flex gap-3 items-center text-sm mt-2">
+          <label>Plan: commands/day</label>
+          <input value={perDay} onChange={(e) => setPerDay(e.target.value)} className="px-3 py-2 border rounded-xl w-16" />
+          <label>Session min</label>
+          <input value={practiceMinutes} onChange={(e) => setPracticeMinutes(e.target.value)} className="px-3 py-2 border rounded-xl w-16" />
+          <label>Refresher min</label>
+          <input value={refresherMinutes} onChange={(e) => setRefresherMinutes(e.target.value)} className="px-3 py-2 border rounded-xl w-16" />
         </div>
       </div>
 
       <div className="p-3 border rounded-xl">
         <div className="font-semibold mb-2">Meals (24h HH:MM, comma or newline separated)</div>
         <textarea value={mealsText} onChange={(e) => setMealsText(e.target.value)} className="w-full min-h-[100px] px-3 py-2 border rounded-xl" />
+        <div className="text-sm mt-2 mb-1">Weekend meals (leave empty to use the same times)</div>
+        <textarea value={weekendMealsText} onChange={(e) => setWeekendMealsText(e.target.value)} className="w-full min-h-[60px] px-3 py-2 border rounded-xl" />
+        <label className="flex items-center gap-2 text-sm mt-2">
+          A meal within <input type="number" min="1" value={mealTolerance} onChange={(e) => setMealTolerance(e.target.value)} className="w-20 px-2 py-1 border rounded-lg" /> min of a slot fills it;
+          later than <input type="number" min="0" value={mealLateAfter} onChange={(e) => setMealLateAfter(e.target.value)} className="w-20 px-2 py-1 border rounded-lg" /> min counts as late
+        </label>
       </div>
 
       {/* Cloud Sync (Supabase) */}
       <div className="p-3 border rounded-xl">
         <div className="font-semibold mb-1">Cloud Sync (Supabase)</div>
-        <div className="text-xs text-gray-600 mb-2">Optional. Paste your Supabase URL, anon key, and a Family ID. Turn on to sync both phones.</div>
-        <CloudSettings state={state} commit={commit} />
+        <div className="text-xs text-gray-600 mb-2">Optional. Paste your Supabase URL and anon key, sign in, then start a family or join one with an invite code from another phone.</div>
+        <CloudSettings state={household} commit={commitHousehold} />
       </div>
 
+      <RemindersSettings state={state} commit={commit} />
+
+      <BackupRestore state={household || state} commit={commitHousehold || commit} />
+
+      <DataHealth state={state} commit={commit} />
+
       <div className="flex gap-2">
         <button className="px-3 py-2 rounded-xl border" onClick={save}>Save Settings</button>
         <button className="px-3 py-2 rounded-xl border" onClick={resetAll}>Reset All Data</button>
@@ -780,75 +3787,318 @@ function SettingsView({ state, commit }) {
   );
 }
 
-// Cloud settings component
+// Reminder toggles apply immediately (they are per-device and need a permission prompt)
+function RemindersSettings({ state, commit }) {
+  const r = state.settings.reminders;
+  const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : "unsupported"));
+
+  async function toggle(enabled) {
+    if (enabled && notificationsSupported() && Notification.permission !== "granted") {
+      const p = await Notification.requestPermission();
+      setPermission(p);
+      if (p !== "granted") return;
+    }
+    if (enabled) registerServiceWorker();
+    commit((s) => { s.settings.reminders.enabled = enabled; });
+  }
+  function set(key, value) { commit((s) => { s.settings.reminders[key] = value; }); }
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="font-semibold mb-1">Reminders</div>
+      {permission === "unsupported" ? (
+        <div className="text-xs text-gray-600">This browser doesn't support notifications (on iPhone, add the app to the Home Screen first).</div>
+      ) : (
+        <div className="space-y-2 text-sm">
+          <label className="flex items-center gap-2"><input type="checkbox" checked={r.enabled} onChange={(e) => toggle(e.target.checked)} /> Notify me on this device</label>
+          {permission === "denied" && <div className="text-xs text-red-700">Notifications are blocked for this site — allow them in the browser settings.</div>}
+          <div className="flex flex-wrap gap-4">
+            <label className="flex items-center gap-2"><input type="checkbox" checked={r.attempts} onChange={(e) => set("attempts", e.target.checked)} /> Out attempts</label>
+            <label className="flex items-center gap-2"><input type="checkbox" checked={r.meals} onChange={(e) => set("meals", e.target.checked)} /> Meals</label>
+          </div>
+          <div className="flex items-center gap-2">
+            <span>Quiet hours</span>
+            <input type="time" value={r.quietStart} onChange={(e) => set("quietStart", e.target.value)} className="px-2 py-1 border rounded-lg" />
+            <span>to</span>
+            <input type="time" value={r.quietEnd} onChange={(e) => set("quietEnd", e.target.value)} className="px-2 py-1 border rounded-lg" />
+          </div>
+          <div className="text-xs text-gray-500">Reminders fire while the app is open or in a background tab. A task completed on the other phone won't remind here.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// JSON backup download + import (replace or merge) with a preview
+function BackupRestore({ state, commit }) {
+  const [incoming, setIncoming] = useState(null); // { state, exportedAt, fileName }
+  const [mode, setMode] = useState("merge");
+  const [error, setError] = useState("");
+
+  const plan = useMemo(() => (incoming ? planImport(state, incoming.state, mode) : null), [incoming, mode, state]);
+
+  function onFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(""); setIncoming(null);
+    file.text().then((text) => {
+      try { setIncoming({ ...parseBackupJson(text), fileName: file.name }); } catch (err) { setError(err.message); }
+    }).catch((err) => setError("Couldn't read " + file.name + ": " + err.message));
+  }
+
+  function applyImport() {
+    if (!incoming) return;
+    if (mode === "replace" && !confirm("Replace ALL current logs, attempts and training with this backup?")) return;
+    backupRawState(getStore().getItem(LS_KEY), "before importing " + incoming.fileName);
+    commit((s) => {
+      const { next } = planImport(s, incoming.state, mode);
+      s.dogs = next.dogs;
+      s.events = next.events;
+      s.outAttempts = next.outAttempts;
+      s.trainingCommands = next.trainingCommands;
+      s.activeSession = next.activeSession;
+      s.settings = next.settings;
+      TRASHABLE.forEach(k => { const live = new Set(s[k].map(r => r.id)); s.trash[k] = s.trash[k].filter(r => !live.has(r.id)); });
+    });
+    setIncoming(null);
+    alert("Backup imported" + (state.settings.cloud && state.settings.cloud.enabled ? " — changes are syncing to the cloud." : "."));
+  }
+
+  const LABELS = { dogs: "Dog profiles", events: "Logs", outAttempts: "Out attempts", trainingCommands: "Training commands", sessions: "Training sessions" };
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="font-semibold mb-1">Backup & Restore</div>
+      <div className="text-xs text-gray-600 mb-2">A complete JSON copy of every log, attempt, command and session (cloud keys are left out).</div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <button className="px-3 py-2 rounded-xl border" onClick={() => downloadBackup(state)}>Download Backup</button>
+        <label className="px-3 py-2 rounded-xl border cursor-pointer">
+          Import Backup…
+          <input type="file" accept="application/json,.json" className="hidden" onChange={onFile} />
+        </label>
+      </div>
+      {error && <div className="text-sm text-red-700 mt-2">{error}</div>}
+      {plan && (
+        <div className="mt-3 p-3 border rounded-xl bg-gray-50 text-sm">
+          <div className="font-medium">{incoming.fileName}{incoming.exportedAt ? " — exported " + fmtDateTime(incoming.exportedAt) : ""}</div>
+          <div className="flex gap-4 mt-2">
+            <label className="flex items-center gap-1"><input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} /> Merge by id</label>
+            <label className="flex items-center gap-1"><input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} /> Replace everything</label>
+          </div>
+          <table className="mt-2 text-xs w-full">
+            <thead><tr className="text-left text-gray-600"><th /><th>New</th><th>Updated</th><th>Removed</th><th>Unchanged</th></tr></thead>
+            <tbody>
+              {Object.keys(plan.summary).map((k) => (
+                <tr key={k}><td>{LABELS[k]}</td><td>{plan.summary[k].added}</td><td>{plan.summary[k].updated}</td><td>{plan.summary[k].removed}</td><td>{plan.summary[k].unchanged}</td></tr>
+              ))}
+            </tbody>
+          </table>
+          {mode === "replace" && <div className="text-xs text-gray-600 mt-1">Settings (except Cloud Sync) are replaced too.</div>}
+          <div className="flex gap-2 mt-3">
+            <button className="px-3 py-2 rounded-xl border bg-white" onClick={applyImport}>Import</button>
+            <button className="px-3 py-2 rounded-xl border bg-white" onClick={() => setIncoming(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Quarantined records + raw backups kept by loadState / Reset
+function DataHealth({ state, commit }) {
+  const [backups, setBackups] = useState(() => listBackups());
+  const quarantine = state.quarantine || [];
+  if (!quarantine.length && !backups.length) return null;
+
+  function discardQuarantine() {
+    if (!confirm("Permanently discard " + quarantine.length + " damaged record(s)?")) return;
+    commit((s) => { s.quarantine = []; });
+  }
+  function restoreBackup(b) {
+    if (!confirm("Replace current data with the backup from " + fmtDateTime(b.savedAt) + "? Current data is backed up first.")) return;
+    backupRawState(getStore().getItem(LS_KEY), "before restoring a backup");
+    getStore().setItem(LS_KEY, b.raw);
+    window.location.reload();
+  }
+  function deleteBackup(b) { getStore().removeItem(b.key); setBackups(listBackups()); }
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="font-semibold mb-2">Data Health</div>
+      {quarantine.length > 0 && (
+        <div className="text-sm mb-2">
+          ⚠️ {quarantine.length} damaged record(s) were set aside when loading instead of being deleted
+          <ul className="text-xs text-gray-600 mt-1 list-disc pl-5">
+            {quarantine.slice(0, 5).map((q, i) => <li key={i}>{q.collection}: {q.reason}</li>)}
+            {quarantine.length > 5 && <li>…and {quarantine.length - 5} more</li>}
+          </ul>
+          <button className="mt-2 px-3 py-1 rounded-xl border" onClick={discardQuarantine}>Discard damaged records</button>
+        </div>
+      )}
+      {backups.length > 0 && (
+        <ul className="text-sm divide-y">
+          {backups.map((b) => (
+            <li key={b.key} className="py-2 flex items-center justify-between gap-2">
+              <span>Backup {fmtDateTime(b.savedAt)} <span className="text-xs text-gray-500">({b.reason})</span></span>
+              <span className="flex gap-2">
+                <button className="px-2 py-1 rounded-lg border" onClick={() => restoreBackup(b)}>Restore</button>
+                <button className="px-2 py-1 rounded-lg border" onClick={() => deleteBackup(b)}>Delete</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Cloud settings component: connection → sign in → start or join a family → sync
 function CloudSettings({ state, commit }) {
-  const [enabled, setEnabled] = useState(!!(state.settings.cloud && state.settings.cloud.enabled));
-  const [url, setUrl] = useState((state.settings.cloud && state.settings.cloud.url) || "");
-  const [key, setKey] = useState((state.settings.cloud && state.settings.cloud.anonKey) || "");
-  const [family, setFamily] = useState((state.settings.cloud && state.settings.cloud.familyId) || "");
+  const cloud = state.settings.cloud || {};
+  const [url, setUrl] = useState(cloud.url || "");
+  const [key, setKey] = useState(cloud.anonKey || "");
+  const [email, setEmail] = useState(cloud.email || "");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState(() => { const me = (state.members || []).find(m => m.userId === cloud.userId); return me ? me.displayName : ""; });
+  const [familyName, setFamilyName] = useState("");
+  const [claimId, setClaimId] = useState(cloud.familyId || "");
+  const [claimCode, setClaimCode] = useState("");
+  const [code, setCode] = useState("");
+  const [invite, setInvite] = useState("");
   const [busy, setBusy] = useState(false);
   const [msg, setMsg] = useState("");
 
-  async function testConnection() {
+  // one request at a time; failures land in msg instead of an alert
+  async function act(fn) {
     setBusy(true); setMsg("");
-    try {
-      const temp = { settings: { cloud: { enabled: true, url, anonKey: key, familyId: family } } };
-      const data = await cloudFetchAll(temp.settings);
-      if (data) setMsg("Connected ✓"); else setMsg("No data yet — but credentials look OK if no error appeared.");
-    } catch (e) { setMsg("Failed: " + (e && e.message ? e.message : String(e))); }
+    try { await fn(); } catch (e) { setMsg("Failed: " + (e && e.message ? e.message : String(e))); }
     setBusy(false);
   }
+  function saveCloud(fields) { commit((s) => { s.settings.cloud = { ...s.settings.cloud, url, anonKey: key, ...fields }; }); }
+  async function joined(familyId) {
+    const members = await CloudAuth.listMembers(url, key, familyId);
+    commit((s) => { s.settings.cloud = { ...s.settings.cloud, url, anonKey: key, familyId, enabled: true }; s.members = members; });
+    setMsg("Syncing with your family ✓");
+  }
 
-  function saveCloud() {
-    commit((s) => { s.settings.cloud = { enabled, url, anonKey: key, familyId: family }; });
-    alert("Cloud settings saved" + (enabled ? " — syncing on." : " (disabled)"));
-  }
-
-  const sql = [
-    "-- Run this in Supabase SQL editor — uses TEXT ids so app IDs work as-is",
-    "create table if not exists events (id text primary key, family_id text not null, type text not null, at bigint not null, note text);",
-    "create table if not exists out_attempts (id text primary key, family_id text not null, at bigint not null, reason text not null, source_event_id text references events(id), done boolean default false);",
-    "create table if not exists training_commands (id text primary key, family_id text not null, name text not null, total_seconds integer default 0, learned boolean default false, created_at timestamp with time zone default now());",
-    "create table if not exists training_sessions (id text primary key, family_id text not null, command_id text references training_commands(id), started_at bigint, ended_at bigint, seconds integer, attempts integer, successes integer, success_rate double precision);",
-    "alter table events enable row level security; alter table out_attempts enable row level security; alter table training_commands enable row level security; alter table training_sessions enable row level security;",
-    "create policy if not exists family_read_events on events for select using (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_write_events on events for insert with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_update_events on events for update using (family_id = 'FAMILY_ID') with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_delete_events on events for delete using (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_read_out on out_attempts for select using (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_write_out on out_attempts for insert with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_update_out on out_attempts for update using (family_id = 'FAMILY_ID') with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_delete_out on out_attempts for delete using (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_read_cmd on training_commands for select using (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_write_cmd on training_commands for insert with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_update_cmd on training_commands for update using (family_id = 'FAMILY_ID') with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_delete_cmd on training_commands for delete using (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_read_sess on training_sessions for select using (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_write_sess on training_sessions for insert with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_update_sess on training_sessions for update using (family_id = 'FAMILY_ID') with check (family_id = 'FAMILY_ID');",
-    "create policy if not exists family_delete_sess on training_sessions for delete using (family_id = 'FAMILY_ID');",
-  ].join("\n");
+  function signIn(create) {
+    return act(async () => {
+      const user = create ? await CloudAuth.signUp(url, key, email.trim(), password) : await CloudAuth.signIn(url, key, email.trim(), password);
+      setPassword("");
+      const fam = await CloudAuth.myFamily(url, key, user.id);
+      saveCloud({ userId: user.id, email: user.email || email.trim(), familyId: "", enabled: false });
+      if (fam) { setName(fam.displayName); await joined(fam.familyId); }
+      else setMsg("Signed in ✓ — now start a family or join one with an invite code.");
+    });
+  }
+  function signOut() {
+    return act(async () => {
+      await CloudAuth.signOut(url, key);
+      commit((s) => { s.settings.cloud = { ...s.settings.cloud, enabled: false, userId: "", email: "", familyId: "" }; s.members = []; });
+      setInvite("");
+    });
+  }
+  function createFamily() {
+    if (!name.trim()) { alert("Enter your name first — it's shown next to everything you log."); return; }
+    return act(async () => { await joined(await CloudAuth.createFamily(url, key, familyName.trim() || state.dogs[0].name + "'s family", name.trim(), claimId.trim(), claimCode.trim())); setClaimCode(""); });
+  }
+  function joinFamily() {
+    if (!name.trim() || !code.trim()) { alert("Enter your name and the invite code."); return; }
+    return act(async () => { await joined(await CloudAuth.joinFamily(url, key, code.trim(), name.trim())); setCode(""); });
+  }
+  function createInvite() { return act(async () => { setInvite(await CloudAuth.createInvite(url, key, cloud.familyId)); }); }
+  function setEnabled(on) { commit((s) => { s.settings.cloud = { ...s.settings.cloud, enabled: on }; }); }
+  function testConnection() {
+    return act(async () => {
+      const data = await cloudFetchAll({ ...state.settings, cloud: { ...cloud, enabled: true } });
+      setMsg(data ? "Connected ✓" : "Failed — check that you are still signed in and the SQL below has been run.");
+    });
+  }
 
+  const inputClass = "px-3 py-2 border rounded-xl";
   return (
     <div className="space-y-2">
-      <div className="flex items-center gap-2">
-        <input id="cloud_on" type="checkbox" checked={enabled} onChange={(e)=>setEnabled(e.target.checked)} />
-        <label htmlFor="cloud_on">Enable Cloud Sync</label>
-      </div>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
-        <input placeholder="Supabase URL (https://xxx.supabase.co)" value={url} onChange={(e)=>setUrl(e.target.value)} className="px-3 py-2 border rounded-xl" />
-        <input placeholder="Anon public key" value={key} onChange={(e)=>setKey(e.target.value)} className="px-3 py-2 border rounded-xl" />
-        <input placeholder="Family ID (e.g., libby-family)" value={family} onChange={(e)=>setFamily(e.target.value)} className="px-3 py-2 border rounded-xl" />
-      </div>
-      <div className="flex gap-2">
-        <button className="px-3 py-2 rounded-xl border" onClick={saveCloud}>Save Cloud Settings</button>
-        <button className="px-3 py-2 rounded-xl border" disabled={busy} onClick={testConnection}>{busy?"Testing…":"Test Connection"}</button>
+        <input placeholder="Supabase URL (https://xxx.supabase.co)" value={url} disabled={!!cloud.userId} onChange={(e)=>setUrl(e.target.value)} className={inputClass} />
+        <input placeholder="Anon public key" value={key} disabled={!!cloud.userId} onChange={(e)=>setKey(e.target.value)} className={inputClass} />
       </div>
+      {cloudNeedsSignIn(state.settings) && (
+        <div className="text-sm px-3 py-2 rounded-xl border bg-amber-50 border-amber-200">This phone syncs with family <b>{cloud.familyId}</b> but isn't signed in, so nothing is syncing. Sign in (or create an account) to resume — changes made meanwhile are kept and sent once you're back.</div>
+      )}
+      {!cloud.userId && (
+        <div className="text-xs text-gray-600">For a local stack, run <code>supabase start</code> and use its API URL (http://127.0.0.1:54321) and anon key; it accepts new accounts without email confirmation.</div>
+      )}
+
+      {!cloud.userId ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <input type="email" placeholder="Email" value={email} onChange={(e)=>setEmail(e.target.value)} className={inputClass} />
+          <input type="password" placeholder="Password" value={password} onChange={(e)=>setPassword(e.target.value)} className={inputClass} />
+          <div className="flex gap-2">
+            <button className="px-3 py-2 rounded-xl border" disabled={busy || !email.trim() || !password} onClick={() => signIn(false)}>{busy ? "Signing in…" : "Sign in"}</button>
+            <button className="px-3 py-2 rounded-xl border" disabled={busy || !email.trim() || !password} onClick={() => signIn(true)}>Create account</button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span>Signed in as <span className="font-medium">{cloud.email}</span></span>
+          <button className="px-2 py-1 rounded-lg border" disabled={busy} onClick={signOut}>Sign out</button>
+        </div>
+      )}
+
+      {cloud.userId && !cloud.familyId && (
+        <div className="space-y-2">
+          <input placeholder="Your name (shown next to what you log)" value={name} onChange={(e)=>setName(e.target.value)} className={inputClass + " w-full"} />
+          <div className="p-3 border rounded-xl space-y-2">
+            <div className="text-sm font-medium">Join a family</div>
+            <div className="flex gap-2">
+              <input placeholder="Invite code" value={code} onChange={(e)=>setCode(e.target.value)} className={inputClass + " flex-1"} />
+              <button className="px-3 py-2 rounded-xl border" disabled={busy} onClick={joinFamily}>Join</button>
+            </div>
+          </div>
+          <div className="p-3 border rounded-xl space-y-2">
+            <div className="text-sm font-medium">…or start one</div>
+            <input placeholder={"Family name (e.g., " + state.dogs[0].name + "'s family)"} value={familyName} onChange={(e)=>setFamilyName(e.target.value)} className={inputClass + " w-full"} />
+            <input placeholder="Family ID you synced with before sign-in (optional)" value={claimId} onChange={(e)=>setClaimId(e.target.value)} className={inputClass + " w-full"} />
+            {claimId.trim() && (
+              <>
+                <input placeholder="Claim code" value={claimCode} onChange={(e)=>setClaimCode(e.target.value)} className={inputClass + " w-full"} />
+                <div className="text-xs text-gray-600">Knowing the Family ID isn't enough to take it over. Whoever owns the Supabase project gets a one-time code by running <code>select issue_family_claim('{claimId.trim()}');</code> in its SQL editor. Claim the ID before anyone else joins — until then, nobody can read its data.</div>
+              </>
+            )}
+            <button className="px-3 py-2 rounded-xl border" disabled={busy} onClick={createFamily}>Start family</button>
+          </div>
+        </div>
+      )}
+
+      {cloud.userId && cloud.familyId && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <input id="cloud_on" type="checkbox" checked={!!cloud.enabled} onChange={(e)=>setEnabled(e.target.checked)} />
+            <label htmlFor="cloud_on">Enable Cloud Sync</label>
+          </div>
+          <div className="text-sm">
+            <div className="text-gray-600">Family members</div>
+            <ul className="list-disc ml-5">
+              {(state.members || []).map(m => (
+                <li key={m.userId}>{m.displayName}{m.userId === cloud.userId ? " (you)" : ""}{m.role === "owner" ? " · owner" : ""}</li>
+              ))}
+              {!(state.members || []).length && <li className="text-gray-500">Shown after the first sync</li>}
+            </ul>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button className="px-3 py-2 rounded-xl border" disabled={busy} onClick={createInvite}>Create invite code</button>
+            <button className="px-3 py-2 rounded-xl border" disabled={busy} onClick={testConnection}>{busy?"Testing…":"Test Connection"}</button>
+            {invite && <span className="text-sm">Code <code className="px-2 py-1 rounded bg-gray-100 font-semibold">{invite}</code> — works once, for 7 days</span>}
+          </div>
+        </div>
+      )}
+
       <details className="mt-2">
         <summary className="cursor-pointer">SQL to create tables & policies</summary>
         <div className="mt-2">
-          <div className="text-xs text-gray-600 mb-2">Replace <code>FAMILY_ID</code> with your chosen Family ID, then run in Supabase SQL editor.</div>
-          <textarea readOnly className="w-full min-h-[220px] text-xs p-2 border rounded" value={sql.replaceAll("FAMILY_ID", family || "your-family-id")} />
+          <div className="text-xs text-gray-600 mb-2">Run once in the Supabase SQL editor — it is <code>supabase/migrations/</code> in the repo, which a local stack applies by itself. Safe to re-run after updates; it replaces the old Family ID policies.</div>
+          <textarea readOnly className="w-full min-h-[220px] text-xs p-2 border rounded" value={SETUP_SQL} />
         </div>
       </details>
       {msg && <div className="text-sm mt-1">{msg}</div>}
@@ -961,6 +4211,559 @@ function runDevTests() {
       assert(state.outAttempts.length === 0, "invalid water ts should not create attempt");
     });
 
+    run("Test 11 — outbox backoff grows and is capped; a rejected op doesn't block the queue", () => {
+      assert(outboxBackoff(0) === 0, "fresh op should not wait");
+      assert(outboxBackoff(1) === OUTBOX_BASE_DELAY, "first retry waits the base delay");
+      assert(outboxBackoff(3) === OUTBOX_BASE_DELAY * 4, "backoff should double per try");
+      assert(outboxBackoff(50) === OUTBOX_MAX_DELAY, "backoff should be capped");
+
+      const op = (id) => ({ id, kind: "insertEvent", payload: { id: "e-" + id }, familyId: "fam", tries: 0, nextAt: 0 });
+      let o = { ...emptyOutbox(), ops: [op("a"), op("b"), op("c")] };
+      o = settleOutboxOp(o, "a", { code: "23503", message: "violates foreign key constraint" }, now);
+      assert(o.ops.map(x => x.id).join() === "b,c" && o.ops[0].nextAt === 0 && o.dead[0].id === "a" && o.dead[0].error === "violates foreign key constraint", "a rejected head op moves aside and the next one is due at once");
+      o = settleOutboxOp(o, "b", new TypeError("Failed to fetch"), now);
+      assert(o.ops[0].id === "b" && o.ops[0].nextAt === now + OUTBOX_BASE_DELAY && o.dead.length === 1, "a network failure keeps its place and backs off");
+      o = settleOutboxOp(o, "b", null, now + 5000);
+      assert(o.ops.map(x => x.id).join() === "c" && o.lastError === null && o.lastSyncAt === now + 5000, "success drops the op");
+      assert(!isPermanentCloudError({ code: "PGRST301" }) && !isPermanentCloudError({ code: "57014" }) && isPermanentCloudError({ code: "42501" }) && isPermanentCloudError({ code: "P0001" }), "expired sessions and timeouts retry; RLS and raised errors don't");
+    });
+
+    run("Test 12 — cloud merge keeps local-only history and applies last-writer-wins", () => {
+      const none = { upserts: new Set(), deletes: new Set() };
+      const local = defaultState();
+      local.events.push(
+        { id: "e-new", type: "pee", at: now, updatedAt: now },                                 // never synced → upload
+        { id: "e-gone", type: "poop", at: now, updatedAt: now, syncedAt: now - 1000 },         // deleted remotely
+        { id: "e-both", type: "water", at: now, updatedAt: now - 5000, syncedAt: now - 9000 }, // cloud is newer
+      );
+      const cloud = { events: [{ id: "e-both", type: "water", at: now + 60000, updatedAt: now }, { id: "e-remote", type: "food", at: now, updatedAt: now }], outAttempts: [], trainingCommands: [] };
+      const merged = mergeCloudState(local, cloud, none, now);
+      const ids = merged.events.map(e => e.id).sort().join(",");
+      assert(ids === "e-both,e-new,e-remote", "unexpected merged ids: " + ids);
+      assert(merged.events.find(e => e.id === "e-both").at === now + 60000, "newer cloud edit should win");
+      assert(merged.push.some(p => p.kind === "insertEvent" && p.payload.id === "e-new"), "local-only event should be queued for upload");
+      const uploaded = merged.events.find(e => e.id === "e-new");
+      assert(!uploaded.syncedAt && markSynced(merged, "e-new", now) && uploaded.syncedAt === now && !markSynced(merged, "e-new", now + 1), "an upload only counts as synced once it has landed");
+      assert(merged.push.filter(p => p.kind === "insertCommand").length === 2, "default commands should upload when the cloud has none");
+    });
+
+    run("Test 13 — cloud merge respects pending outbox ops", () => {
+      const local = defaultState();
+      local.events.push({ id: "e-edit", type: "pee", at: now - 1000, updatedAt: now - 9000, syncedAt: now - 9000 });
+      const cloud = { events: [{ id: "e-edit", type: "pee", at: now, updatedAt: now }, { id: "e-del", type: "pee", at: now, updatedAt: now }], outAttempts: [], trainingCommands: local.trainingCommands.map(c => ({ ...c, id: "cloud-" + c.id })) };
+      const merged = mergeCloudState(local, cloud, { upserts: new Set(["e-edit"]), deletes: new Set(["e-del"]) }, now);
+      assert(merged.events.length === 1 && merged.events[0].at === now - 1000, "unsent local edit should win and pending delete should not resurrect");
+      assert(merged.trainingCommands.length === 2, "untouched default commands should adopt the cloud copies");
+    });
+
+    run("Test 14 — every mutation maps to cloud ops in foreign-key order", () => {
+      const before = defaultState();
+      const water = { id: "w-1", type: "water", at: now };
+      before.events.push(water, { id: "p-1", type: "pee", at: now - 1000 });
+      ensurePeeAttemptAfterWater(before, water);
+      before.trainingCommands.forEach((c, i) => { c.orderIndex = i; });
+      const after = JSON.parse(JSON.stringify(before));
+      after.events.find(e => e.id === "p-1").at = now - 2000;                       // edit
+      after.events = after.events.filter(e => e.id !== "w-1");                      // delete water…
+      after.outAttempts = after.outAttempts.filter(a => a.sourceEventId !== "w-1"); // …and its attempt
+      after.trainingCommands.reverse().forEach((c, i) => { c.orderIndex = i; });  // reorder
+      const kinds = diffForCloud(before, after).map(op => op.kind + ":" + (typeof op.payload === "string" ? op.payload : op.payload.id));
+      assert(kinds.indexOf("updateEvent:p-1") !== -1, "edited event should produce updateEvent");
+      assert(kinds.filter(k => k.startsWith("updateCommand:")).length === 2, "reorder should update both commands");
+      assert(kinds.indexOf("deleteAttempt:out-w-1") !== -1 && kinds.indexOf("deleteAttempt:out-w-1") < kinds.indexOf("deleteEvent:w-1"), "attempt must be deleted before its water");
+    });
+
+    run("Test 15 — realtime payloads apply incrementally", () => {
+      const none = { upserts: new Set(), deletes: new Set() };
+      const state = defaultState();
+      const row = { id: "e-rt", family_id: "f", type: "pee", at: now, note: null, updated_at: now };
+      const text = applyCloudChange(state, "events", { eventType: "INSERT", new: row, old: {} }, none, now);
+      assert(state.events.length === 1 && typeof text === "string" && text.indexOf("Pee logged on the other phone") === 0, "remote insert should be applied and announced");
+      assert(applyCloudChange(state, "events", { eventType: "INSERT", new: row, old: {} }, none, now) === null, "echo of a known row should stay quiet");
+      applyCloudChange(state, "events", { eventType: "UPDATE", new: { ...row, at: now - 5000, updated_at: now - 1 }, old: {} }, none, now);
+      assert(state.events[0].at === now, "older update must not overwrite a newer record");
+      applyCloudChange(state, "events", { eventType: "DELETE", new: {}, old: { id: "e-rt" } }, none, now);
+      assert(state.events.length === 0, "remote delete should remove the event");
+    });
+
+    run("Test 16 — old blobs migrate and bad records are quarantined, not dropped wholesale", () => {
+      const old = {
+        events: [{ id: "ok", type: "pee", at: now }, { id: "str-ts", type: "poop", at: String(now) }, { id: "bad", type: "pee", at: "never" }, { type: "bogus", at: now }, { id: "ok", type: "pee", at: now }],
+        outAttempts: [{ id: "a", at: now }],
+        trainingCommands: [{ id: "c", name: "Sit", sessionHistory: null }],
+        settings: { peeSuggestionMethod: "mean" }, // no cloud, no mealSchedule
+      };
+      const { state, changed } = normalizeState(old, now);
+      assert(changed && state.schemaVersion === SCHEMA_VERSION, "old blob should be migrated to the current version");
+      assert(state.events.map(e => e.id).join(",") === "ok,str-ts" && state.events[1].at === now, "valid and repairable events should survive");
+      assert(state.quarantine.length === 3, "invalid, unknown-type and duplicate events should be quarantined");
+      assert(state.settings.cloud.enabled === false && state.settings.mealSchedule.times.length === 5 && state.settings.peeSuggestionMethod === "mean", "missing settings should be filled from defaults");
+      assert(state.trainingCommands[0].orderIndex === 0 && Array.isArray(state.trainingCommands[0].sessionHistory), "commands should be repaired");
+      assert(!normalizeState(state, now).changed, "a normalized state should be stable");
+    });
+
+    run("Test 17 — JSON backup round-trips and import previews merge vs replace", () => {
+      const state = defaultState();
+      state.settings.cloud = { enabled: true, url: "u", anonKey: "secret", familyId: "f" };
+      state.events.push({ id: "e1", type: "pee", at: now, note: "after walk", updatedAt: now }, { id: "e2", type: "water", at: now, updatedAt: now });
+      startActiveSession(state, state.trainingCommands[0].id, now);
+      const text = buildBackupJson(state, now);
+      assert(text.indexOf("secret") === -1, "backup must not contain the cloud key");
+      const restored = parseBackupJson(text).state;
+      assert(restored.events.length === 2 && restored.events[0].note === "after walk" && restored.trainingCommands.length === 2, "backup should round-trip");
+
+      const current = defaultState();
+      current.events.push({ id: "e1", type: "pee", at: now - 1000, updatedAt: now - 1000 }, { id: "e3", type: "poop", at: now, updatedAt: now });
+      const merge = planImport(current, restored, "merge");
+      assert(merge.next.events.length === 3 && merge.summary.events.added === 1 && merge.summary.events.updated === 1, "merge should add e2 and update the older e1");
+      const replace = planImport(current, restored, "replace");
+      assert(replace.next.events.length === 2 && replace.summary.events.removed === 1, "replace should drop e3");
+      assert(replace.next.settings.cloud === current.settings.cloud, "replace must keep this phone's cloud settings");
+      assert(merge.next.activeSession && merge.next.activeSession.id === state.activeSession.id && replace.next.activeSession.commandId === state.trainingCommands[0].id, "a running timer in the backup should come back");
+      let threw = false; try { parseBackupJson("{}"); } catch (_) { threw = true; }
+      assert(threw, "non-backup JSON should be rejected");
+    });
+
+    run("Test 18 — range exports cover several days in CSV, text and summary", () => {
+      const state = defaultState();
+      const day0 = startOfDay(now) - 2 * 24 * 3600 * 1000;
+      state.events.push(
+        { id: uid("e"), type: "pee", at: day0 + 8 * 3600 * 1000, note: 'said "yes", then sat' },
+        { id: uid("e"), type: "pee", at: day0 + 10 * 3600 * 1000 },
+        { id: uid("e"), type: "poop", at: day0 + 26 * 3600 * 1000 },
+      );
+      state.outAttempts.push({ id: "a1", at: day0 + 9 * 3600 * 1000, reason: "pee", done: true });
+      const opts = { from: day0, to: day0 + 24 * 3600 * 1000, includeAttempts: true };
+      const csv = buildExport(state, { ...opts, format: "csv" }, now).split("\n");
+      assert(csv.length === 5 && csv[0] === "timestamp,date,time,type,label,details,note", "CSV should have a header and one row per entry");
+      assert(csv[1].indexOf('"said ""yes"", then sat"') !== -1, "CSV cells with quotes/commas must be escaped");
+      assert(csv.some(l => l.indexOf("out_attempt") !== -1 && l.indexOf("done") !== -1), "CSV should include attempt outcomes when asked");
+      const text = buildExport(state, { ...opts, format: "text" }, now);
+      assert(text.startsWith("Rue — Log Export") && text.split("── ").length === 3, "multi-day text should have one header per day");
+      const summary = buildExport(state, { ...opts, format: "summary" }, now).split("\n");
+      assert(summary.length === 3 && summary[1].split(",")[1] === "2" && summary[1].split(",")[8] === "120", "summary should count pees and their interval per day");
+      assert(eachDay(day0, day0).length === 1, "single-day range should be one day");
+    });
+
+    run("Test 19 — event details are cleaned per type and exported", () => {
+      assert(cleanDetails("poop", { location: "inside", consistency: "soft", bogus: 1 }).bogus === undefined, "unknown detail keys should be dropped");
+      assert(cleanDetails("pee", { location: "on the moon" }) === undefined, "values outside the options should be dropped");
+      assert(cleanDetails("water", { volumeMl: "120" }).volumeMl === 120, "numeric details should be numbers");
+      const ev = { id: "d1", type: "poop", at: now, note: "after breakfast", details: { location: "outside", consistency: "soft" } };
+      assert(formatEventDetails(ev) === "outside · soft", "details should format for the Recent list");
+      const line = buildExportTextForDate([ev], now);
+      assert(line.indexOf("(outside · soft) — after breakfast") !== -1, "text export should include details and note");
+    });
+
+    run("Test 20 — backdated and bulk quick logs schedule from the backdated time", () => {
+      const state = defaultState();
+      const tenAgo = now - 10 * 60 * 1000;
+      const evs = applyQuickLog(state, ["pee", "poop"], tenAgo);
+      assert(evs.length === 2 && state.events.every(e => e.at === tenAgo), "bulk log should add every type at the chosen time");
+      applyQuickLog(state, ["water"], now - 15 * 60 * 1000);
+      assert(!state.outAttempts.length, "water from before the last pee should not schedule an attempt");
+      const [late] = applyQuickLog(state, ["water"], now);
+      assert(state.outAttempts.length === 1 && state.outAttempts[0].at === late.at + 80 * 60 * 1000, "water after the pee should schedule from its time");
+      const [early] = applyQuickLog(state, ["water"], now - 5 * 60 * 1000);
+      assert(state.outAttempts.length === 1 && state.outAttempts[0].sourceEventId === early.id, "an earlier backdated water should move the attempt to the first water");
+      applyQuickLog(state, ["pee"], now - 7 * 60 * 1000);
+      assert(state.outAttempts.length === 1, "a backdated pee before the water must not clear its attempt");
+    });
+
+    run("Test 21 — reminders respect completion, snoozes and quiet hours", () => {
+      const noon = hhmmOnDay("12:00", now);
+      const state = defaultState();
+      state.settings.reminders = { enabled: true, attempts: true, meals: false, quietStart: "22:00", quietEnd: "06:00" };
+      state.outAttempts.push({ id: "a1", at: noon - 60000, reason: "pee", done: false }, { id: "a2", at: noon - 120000, reason: "pee", done: true });
+      const empty = { fired: {}, snoozed: {} };
+      const due = dueReminders(state, noon, empty);
+      assert(due.length === 1 && due[0].id === "a1", "only the pending attempt should be due");
+      assert(!dueReminders(state, noon, { fired: { [due[0].key]: noon }, snoozed: {} }).length, "a fired reminder should not repeat");
+      assert(!dueReminders(state, hhmmOnDay("23:00", now), empty).length && inQuietHours(hhmmOnDay("05:59", now), "22:00", "06:00"), "quiet hours should wrap midnight");
+      applyReminderAction(state, due[0], "snooze", noon);
+      assert(state.outAttempts[0].at === noon + REMINDER_SNOOZE_MS && !dueReminders(state, noon, empty).length, "snooze should move the attempt 10 minutes");
+      applyReminderAction(state, { kind: "attempt", id: "a1" }, "done", noon);
+      assert(state.outAttempts[0].done && state.events.some(e => e.type === "pee_attempt"), "done should match markPeeDone");
+    });
+
+    run("Test 22 — prediction model learns multi-day trigger latencies", () => {
+      const state = defaultState();
+      const today = startOfDay(now);
+      for (let d = 1; d <= 4; d++) {
+        const day = today - d * DAY_MS;
+        [7, 10, 13, 16].forEach(h => {
+          state.events.push({ id: uid("p"), type: "pee", at: day + h * 3600 * 1000 });
+          state.events.push({ id: uid("w"), type: "water", at: day + h * 3600 * 1000 + 60 * 60 * 1000 }); // pee 2h after water
+        });
+      }
+      const lastPee = today + 9 * 3600 * 1000;
+      state.events.push({ id: "p-now", type: "pee", at: lastPee });
+      let p = predictNextPee(state, lastPee + 10 * 60 * 1000);
+      assert(p && p.mode === "model" && p.driver.kind === "pee" && p.low <= p.at && p.at <= p.high, "with no trigger since the last pee, the pee interval should drive");
+      state.events.push({ id: "w-now", type: "water", at: lastPee + 20 * 60 * 1000 });
+      p = predictNextPee(state, lastPee + 30 * 60 * 1000);
+      assert(p.driver.kind === "water" && p.at === lastPee + 20 * 60 * 1000 + 2 * 3600 * 1000, "water since the last pee should drive when it predicts earlier: " + (p.driver && p.driver.kind));
+      assert(describePrediction(p).indexOf("water") !== -1, "banner should explain the driver");
+      state.settings.prediction.mode = "simple";
+      assert(predictNextPee(state, now).mode === "simple", "simple mode should stay available");
+      assert(predictNextPee(defaultState(), now) === null, "no history → no prediction");
+    });
+
+    run("Test 23 — sleep spans, wake attempts and daily totals", () => {
+      const state = defaultState();
+      const day = startOfDay(now);
+      const legacy = { id: "s-old", type: "sleep", at: day - DAY_MS };
+      const migrated = normalizeState({ events: [legacy], outAttempts: [], trainingCommands: [] }, now).state;
+      assert(migrated.events[0].endAt === legacy.at && !currentSleep(migrated), "old point sleeps should not read as still asleep");
+      const [nap] = applyQuickLog(state, ["sleep"], day + 9 * 3600 * 1000);
+      assert(currentSleep(state) === nap, "logging sleep should start an open nap");
+      endSleep(state, nap, day + 11 * 3600 * 1000);
+      const attempt = state.outAttempts.find(a => a.reason === "wake");
+      assert(attempt && attempt.at === nap.endAt + 5 * 60 * 1000, "waking should schedule a pee attempt");
+      applyQuickLog(state, ["pee"], nap.endAt + 60 * 1000);
+      assert(!state.outAttempts.some(a => a.reason === "wake"), "a pee after waking should clear the wake attempt");
+      applyQuickLog(state, ["sleep"], day + 13 * 3600 * 1000);
+      applyQuickLog(state, ["sleep"], day + 14 * 3600 * 1000); // forgot to tap Wake
+      assert(state.outAttempts.some(a => a.reason === "wake" && a.at === day + 14 * 3600 * 1000 + 5 * 60 * 1000), "a sleep that closes an open nap should still schedule the wake attempt");
+      const stats = sleepStats(state, day, day + 14.5 * 3600 * 1000);
+      assert(stats.naps === 3 && stats.totalMs === 3.5 * 3600 * 1000 && stats.longestMs === 2 * 3600 * 1000, "daily totals: " + JSON.stringify(stats));
+      assert(formatEventDetails(nap).indexOf("2h 00m") !== -1, "export should show the nap length");
+      assert(eventFromRow({ id: "x", type: "sleep", at: 1, end_at: 5 }).endAt === 5, "end_at should round-trip from the cloud");
+    });
+
+    run("Test 24 — outcomes, success rate, streaks and accident rescheduling", () => {
+      const state = defaultState();
+      const today = startOfDay(now);
+      const at = (d, h) => today - d * DAY_MS + h * 3600 * 1000;
+      [3, 2, 1].forEach(d => applyQuickLog(state, ["pee"], at(d, 8)));
+      applyQuickLog(state, ["pee"], at(2, 15), "accident");
+      applyQuickLog(state, ["pee_attempt"], at(1, 9), "none");
+      state.events.push({ id: "old-inside", type: "poop", at: at(3, 15), details: { location: "inside" } });
+      assert(eventOutcome(state.events.find(e => e.id === "old-inside")) === "accident", "a poop logged inside should count as an accident");
+      const stats = pottyStats(state, today - 3 * DAY_MS, endOfDay(now), now);
+      assert(stats.successes === 3 && stats.accidents === 2 && stats.accidentsByHour[15] === 2, "counts: " + JSON.stringify(stats.accidentsByHour));
+      assert(stats.days[0].rate === 0.5 && stats.days[2].noResult === 1 && stats.currentStreak === 1 && stats.longestStreak === 1, "per-day rate and streaks");
+      state.outAttempts.push({ id: "late", at: now + 3 * 3600 * 1000, reason: "water", done: false });
+      applyQuickLog(state, ["poop"], now, "accident");
+      assert(state.outAttempts.find(a => a.id === "late").at === now + 45 * 60 * 1000, "an accident should pull the next attempt in");
+      state.outAttempts = [];
+      const [acc] = applyQuickLog(state, ["pee"], now, "accident");
+      assert(state.outAttempts.length === 1 && state.outAttempts[0].reason === "accident" && state.outAttempts[0].sourceEventId === acc.id, "with nothing pending an accident should schedule an attempt");
+    });
+
+    run("Test 25 — stats series: counts, intervals, latencies, hours", () => {
+      const state = defaultState();
+      const day = startOfDay(now) - DAY_MS;
+      const h = (n) => day + n * 3600 * 1000;
+      state.events.push(
+        { id: "w1", type: "water", at: h(8) }, { id: "p1", type: "pee", at: h(9) },
+        { id: "p2", type: "pee", at: h(11) }, { id: "w2", type: "water", at: h(12) },
+        { id: "p3", type: "pee", at: h(13.5) }, { id: "p4", type: "pee", at: h(23.5) },
+      );
+      const from = day, to = endOfDay(now);
+      const counts = dailyCounts(state, from, to);
+      assert(counts.length === 2 && counts[0].counts.pee === 4 && counts[0].counts.water === 2, "daily counts per type");
+      assert(peeIntervals(state, from, to).map(x => x.ms / 60000).join(",") === "120,150", "overnight-length gaps should be left out of intervals");
+      assert(waterToPeeLatencies(state, from, to).map(ms => ms / 60000).join(",") === "60,90", "water → next pee latencies");
+      assert(hourOfDayCounts(state, from, to).pee[9] === 1 && histogram([0, 29, 31].map(m => m * 60000), INTERVAL_BUCKET_MS).join(",") === "2,1", "hour buckets and histogram");
+    });
+
+    run("Test 26 — editing sessions and managing commands", () => {
+      const state = defaultState();
+      state.settings.learnedWindow = 2; state.settings.learnedThreshold = 0.75;
+      const cmd = state.trainingCommands[0];
+      cmd.sessionHistory.push(
+        { id: "s1", commandId: cmd.id, startedAt: 1000, seconds: 300, attempts: 10, successes: 9, successRate: 0.9 },
+        { id: "s2", commandId: cmd.id, startedAt: 2000, seconds: 240, attempts: 10, successes: 3, successRate: 0.3 },
+      );
+      editTrainingSession(state, cmd.id, "s2", { attempts: 10, successes: 12, seconds: 600 });
+      assert(cmd.sessionHistory[1].successes === 10 && cmd.sessionHistory[1].successRate === 1, "successes should be clamped to attempts");
+      assert(cmd.totalSeconds === 900 && cmd.learned === true, "total and learned should be recomputed from the history");
+      removeTrainingSession(state, cmd.id, "s1");
+      assert(cmd.totalSeconds === 600 && cmd.sessionHistory.length === 1, "deleting a session should update the total");
+      state.events.push({ id: "t1", type: "training", at: 1, details: { command: "Sit" } });
+      renameCommand(state, cmd.id, "Sit pretty");
+      assert(cmd.name === "Sit pretty" && state.events[0].details.command === "Sit pretty", "rename should carry tagged training events along");
+      const before = JSON.parse(JSON.stringify(state));
+      removeCommand(state, cmd.id);
+      const kinds = diffForCloud(before, state).map(op => op.kind);
+      assert(kinds.join(",") === "deleteSession,deleteCommand", "deleting a command should delete its sessions first: " + kinds.join(","));
+      assert(diffForCloud(before, (() => { const t = JSON.parse(JSON.stringify(before)); t.trainingCommands[0].sessionHistory[0].attempts = 20; return t; })()).some(op => op.kind === "updateSession"), "an edited session should be sent as an update");
+    });
+
+    run("Test 27 — timestamp-driven training timer", () => {
+      const state = defaultState();
+      const cmd = state.trainingCommands[0];
+      const t0 = 1_000_000;
+      startActiveSession(state, cmd.id, t0);
+      pauseActiveSession(state, t0 + 60_000);
+      assert(!sessionRunning(state.activeSession) && sessionElapsedMs(state.activeSession, t0 + 10 * 60_000) === 60_000, "paused time must not count");
+      resumeActiveSession(state, t0 + 5 * 60_000);
+      const reloaded = normalizeState(JSON.parse(JSON.stringify(state)), t0).state;
+      assert(sessionRunning(reloaded.activeSession) && sessionElapsedMs(reloaded.activeSession, t0 + 6 * 60_000) === 120_000, "elapsed time should survive a reload");
+      const before = JSON.parse(JSON.stringify(state));
+      const ended = finishActiveSession(state, t0 + 7 * 60_000);
+      assert(ended.seconds === 180 && state.activeSession === null, "ending should total every segment");
+      assert(diffForCloud(before, state).map(op => op.kind).join(",") === "deleteActiveSession", "ending should clear the shared timer");
+      const other = defaultState(); other.trainingCommands = state.trainingCommands;
+      const msg = applyCloudChange(other, "active_sessions", { eventType: "INSERT", new: { id: "x", command_id: cmd.id, started_at: t0, segments: [{ start: t0 }], updated_at: 5 } }, { upserts: new Set(), deletes: new Set() }, t0);
+      assert(other.activeSession && other.activeSession.id === "x" && msg, "the other phone should see the running timer");
+      applyCloudChange(other, "active_sessions", { eventType: "DELETE", old: { id: "x" } }, { upserts: new Set(), deletes: new Set() }, t0);
+      assert(other.activeSession === null, "and see it ended");
+    });
+
+    run("Test 28 — live rep tally fills the summary and can drive learned", () => {
+      const state = defaultState();
+      const cmd = state.trainingCommands[0];
+      startActiveSession(state, cmd.id, 0);
+      ["success", "success", "success", "success", "success", "success", "fail", "none", "fail", "fail"].forEach((r, i) => addRep(state, r, 1000 * (i + 1)));
+      addRep(state, "success", 20000); undoRep(state);
+      assert(reliabilityDropping(state.activeSession.reps) && repTrend(state.activeSession.reps).join(",") === "1,0.2", "a falling second block should warn");
+      const ended = finishActiveSession(state, 30000);
+      const tally = repTally(ended.reps);
+      assert(tally.attempts === 10 && tally.successes === 6 && tally.none === 1 && ended.reps[9].at === 10000, "summary should come from the reps");
+      cmd.sessionHistory.push({ ...ended, attempts: tally.attempts, successes: tally.successes, successRate: 0.6 });
+      state.settings.learnedThreshold = 0.7; state.settings.learnedBasis = "reps"; state.settings.learnedReps = 5;
+      recomputeCommand(cmd, state.settings);
+      assert(cmd.learned === false, "last 5 reps are 20% — not learned");
+      state.settings.learnedReps = 6; state.settings.learnedThreshold = 0.3;
+      recomputeCommand(cmd, state.settings);
+      assert(cmd.learned === true, "rep window should be configurable");
+      assert(sessionFromRow({ id: "s", command_id: cmd.id, reps: ended.reps }).reps.length === 10, "reps should come back from the cloud");
+    });
+
+    run("Test 29 — practice plan, refreshers and rusty commands", () => {
+      const state = defaultState();
+      state.settings.learnedWindow = 2; state.settings.learnedThreshold = 0.75;
+      const [sit, down] = state.trainingCommands;
+      const day = startOfDay(now);
+      const sess = (id, daysAgo, rate) => ({ id, commandId: sit.id, startedAt: day - daysAgo * DAY_MS + 3600 * 1000, seconds: 120, attempts: 10, successes: rate * 10, successRate: rate });
+      sit.sessionHistory.push(sess("a", 5, 0.8), sess("b", 4, 0.9));
+      recomputeCommand(sit, state.settings);
+      assert(sit.learned && refresherDueAt(sit, state.settings) === sit.sessionHistory[1].startedAt + DAY_MS, "first refresher a day after learning");
+      state.trainingCommands.push({ id: "old", name: "Paw", totalSeconds: 0, learned: false, archived: true, sessionHistory: [] });
+      let plan = practicePlan(state, now);
+      assert(plan.items[0].command === down && plan.items[0].kind === "new" && plan.items[1].kind === "refresher" && plan.items.length === 2, "new work first, then the overdue refresher; archived skipped");
+      assert(plan.items[1].minutes === state.settings.practice.refresherMinutes, "refreshers are shorter");
+      sit.sessionHistory.push(sess("c", 3, 0.5));
+      recomputeCommand(sit, state.settings);
+      assert(!sit.learned, "a failed refresher should drop the badge");
+      plan = practicePlan(state, now);
+      assert(plan.items[0].command === sit && plan.items[0].kind === "rusty", "rusty commands rank first");
+      sit.sessionHistory.push(sess("d", 2, 1), sess("e", 1, 1));
+      recomputeCommand(sit, state.settings);
+      assert(sit.learned && refresherDueAt(sit, state.settings) === sit.sessionHistory[4].startedAt + DAY_MS, "refresher interval restarts after relearning");
+      state.settings.learnedWindow = 3;
+      down.sessionHistory.push(...[0.2, 1, 1, 0.7].map((rate, i) => ({ ...sess("f" + i, 4 - i, rate), commandId: down.id })));
+      recomputeCommand(down, state.settings);
+      assert(down.learned, "the first time, the window average alone should earn the badge");
+    });
+
+    run("Test 30 — configurable out-attempt rules", () => {
+      const legacy = normalizeState({ schemaVersion: 3, settings: { waterToOutMinutes: 25, sleep: { outAttemptOnWake: false, wakeToOutMinutes: 9 } }, events: [], outAttempts: [], trainingCommands: [] }, now).state;
+      const wake = legacy.settings.outAttemptRules.find(r => r.trigger === "wake");
+      assert(!wake.enabled && wake.minutes === 9 && legacy.settings.waterToOutMinutes === undefined && legacy.settings.sleep === undefined, "old wake knobs should become a rule");
+      const state = defaultState();
+      const meal = state.settings.outAttemptRules.find(r => r.trigger === "food");
+      logMeal(state, now);
+      logMeal(state, now + 10 * 60 * 1000);
+      const poopAttempts = state.outAttempts.filter(a => attemptTarget(state, a) === "poop");
+      assert(poopAttempts.length === 1 && poopAttempts[0].at === now + 30 * 60 * 1000 && poopAttempts[0].ruleId === meal.id, "latest dedup should push the poop attempt back");
+      assert(describeAttemptSource(state, poopAttempts[0]) === "after a meal, 20 min", "schedule should name the rule");
+      applyQuickLog(state, ["pee"], now + 15 * 60 * 1000);
+      assert(state.outAttempts.length === 1, "a pee should not clear a poop attempt");
+      applyQuickLog(state, ["poop"], now + 20 * 60 * 1000);
+      assert(state.outAttempts.length === 0, "a poop should");
+      meal.dedup = "each";
+      logMeal(state, now + 60 * 60 * 1000); logMeal(state, now + 70 * 60 * 1000);
+      assert(state.outAttempts.length === 2, "each dedup schedules per trigger");
+      state.settings.outAttemptRules.find(r => r.trigger === "water").enabled = false;
+      applyQuickLog(state, ["water"], now + 80 * 60 * 1000);
+      assert(state.outAttempts.length === 2, "a switched-off rule schedules nothing");
+      state.settings.outAttemptRules.push({ id: "quick-water", trigger: "water", target: "pee", minutes: 30, dedup: "first", enabled: true });
+      const [w] = applyQuickLog(state, ["water"], now + 90 * 60 * 1000);
+      assert(state.outAttempts.some(a => a.id === "out-quick-water-" + w.id && a.at === w.at + 30 * 60 * 1000), "custom rules use their own delay");
+
+      const custom = defaultState();
+      custom.settings.outAttemptRules = [
+        { id: "water-poop", trigger: "water", target: "poop", minutes: 30, dedup: "first", enabled: true },
+        { id: "meal-pee", trigger: "food", target: "pee", minutes: 15, dedup: "latest", enabled: true },
+      ];
+      const [w2] = applyQuickLog(custom, ["water"], now);
+      logMeal(custom, now + 60000);
+      const byRule = (id) => custom.outAttempts.find(a => a.ruleId === id);
+      markAttemptDone(custom, byRule("water-poop").id, now + 30 * 60 * 1000);
+      assert(!custom.events.some(e => e.type === "pee_attempt"), "a done poop attempt is not a pee attempt, whatever triggered it");
+      markAttemptDone(custom, byRule("meal-pee").id, now + 31 * 60 * 1000);
+      assert(custom.events.filter(e => e.type === "pee_attempt").length === 1, "a done pee attempt after a meal logs one");
+      const labels = exportRows(custom, w2.at, now + DAY_MS, { includeAttempts: true }, now).filter(r => r.kind === "out_attempt").map(r => r.label).join();
+      assert(labels === "Out attempt (pee),Out attempt (poop)", "exports name the target: " + labels);
+    });
+
+    run("Test 31 — meal slots, late/missed and weekend schedule", () => {
+      const state = defaultState();
+      state.settings.mealSchedule = { times: ["08:00", "12:00", "18:00"], weekendTimes: ["09:30", "17:00"], toleranceMinutes: 90, lateAfterMinutes: 15 };
+      const wed = new Date(2024, 0, 3).getTime(), sat = new Date(2024, 0, 6).getTime(), min = 60 * 1000;
+      logMeal(state, hhmmOnDay("08:05", wed));
+      logMeal(state, hhmmOnDay("13:00", wed));
+      logSnack(state, hhmmOnDay("10:00", wed));
+      const at1430 = hhmmOnDay("14:30", wed);
+      const day = mealSlotsForDay(state, wed, at1430);
+      assert(day.slots.map(x => x.status).join() === "on-time,late,upcoming" && day.slots[1].lateMs === 60 * min, "meals should fill the nearest slot, late past the threshold");
+      assert(remainingMealsTs(state, at1430).length === 1, "a snack should not use up a slot");
+      const evening = mealAdherence(state, wed, hhmmOnDay("20:00", wed));
+      assert(evening.onTime === 1 && evening.late === 1 && evening.missed === 1 && evening.snacks === 1, "a slot past tolerance is missed");
+      logMeal(state, hhmmOnDay("15:00", wed));
+      assert(mealSlotsForDay(state, wed, at1430).extra.length === 1, "a meal far from every slot is off-schedule");
+      assert(mealSlotsForDay(state, sat, sat).slots.map(x => fmtTime(x.at)).join() === [hhmmOnDay("09:30", sat), hhmmOnDay("17:00", sat)].map(fmtTime).join(), "weekends use their own times");
+      state.settings.mealSchedule.weekendTimes = [];
+      assert(mealSlotsForDay(state, sat, sat).slots.length === 3, "no weekend times falls back to the weekday schedule");
+    });
+
+    run("Test 32 — past and future days in the Schedule", () => {
+      const state = defaultState();
+      const today = startOfDay(now), yesterday = today - DAY_MS, tomorrow = today + DAY_MS, hr = 3600 * 1000;
+      state.outAttempts.push(
+        { id: "y1", at: yesterday + 9 * hr, reason: "pee", done: true },
+        { id: "y2", at: yesterday + 11 * hr, reason: "pee", done: false, dismissed: true },
+        { id: "y3", at: yesterday + 15 * hr, reason: "pee", done: false },
+      );
+      state.events.push({ id: "e1", type: "pee", at: yesterday + 9 * hr });
+      const past = dayPlan(state, yesterday, now);
+      assert(past.attempts.map(x => x.outcome).join() === "done,deleted,missed" && past.events.length === 1, "a past day shows each attempt's fate next to what was logged");
+      assert(dayPlan(state, today, now).attempts.map(x => x.attempt.id).join() === "y3", "still-pending attempts carry over to today, dismissed ones don't");
+      assert(pendingReminders({ ...state, settings: { ...state.settings, reminders: { attempts: true } } }, yesterday + 11 * hr + 60000).length === 0, "a dismissed attempt never reminds");
+      assert(predictFirstPee(state, tomorrow, now) === null, "one day of history is not enough");
+      [2, 3, 4].forEach(d => state.events.push({ id: "p" + d, type: "pee", at: today - d * DAY_MS + 7 * hr }, { id: "q" + d, type: "pee", at: today - d * DAY_MS + 12 * hr }));
+      const first = predictFirstPee(state, tomorrow, now);
+      assert(first && first.samples === 4 && first.at >= tomorrow + 7 * hr && first.at <= tomorrow + 9 * hr, "the first pee is projected onto the future day");
+      assert(dayPlan(state, tomorrow, now).meals.slots.every(x => x.status === "upcoming"), "future meals are projected");
+    });
+
+    run("Test 33 — dog profiles", () => {
+      const legacy = normalizeState({ schemaVersion: 4, settings: { mealSchedule: { times: ["07:00"] } }, events: [{ id: "e1", type: "pee", at: now }], outAttempts: [], trainingCommands: [{ id: "c1", name: "Sit", sessionHistory: [{ id: "s1", startedAt: now }] }] }, now).state;
+      assert(legacy.dogs.length === 1 && legacy.dogs[0].id === DEFAULT_DOG_ID && legacy.activeDogId === DEFAULT_DOG_ID, "single-dog data should get a default profile");
+      assert(legacy.events[0].dogId === DEFAULT_DOG_ID && legacy.trainingCommands[0].sessionHistory[0].dogId === DEFAULT_DOG_ID, "and its records tagged");
+      assert(legacy.dogs[0].settings.mealSchedule.times.join() === "07:00", "the old schedule becomes the default dog's");
+
+      const state = legacy;
+      const mochi = addDog(state, { name: "Mochi", emoji: "🐕" }, DEFAULT_DOG_ID);
+      assert(dogState(state, mochi.id).events.length === 0 && dogState(state, mochi.id).settings.mealSchedule.times.join() === "07:00", "a new dog starts empty with a copy of the schedule");
+      withDog(state, mochi.id, (s) => { s.settings.mealSchedule.times = ["08:00", "18:00"]; applyQuickLog(s, ["water"], now); });
+      assert(state.dogs[0].settings.mealSchedule.times.join() === "07:00" && remainingMealsTs(dogState(state, mochi.id), startOfDay(now)).length === 2, "schedules are per dog");
+      const water = state.events.find(e => e.type === "water");
+      assert(water.dogId === mochi.id && state.outAttempts.every(a => a.dogId === mochi.id) && state.outAttempts.length === 1, "new records are tagged with their dog");
+      assert(dogState(state, DEFAULT_DOG_ID).outAttempts.length === 0, "one dog's attempts stay out of the other's schedule");
+      withDog(state, DEFAULT_DOG_ID, (s) => { s.trainingCommands.push({ id: "c2", name: "Down", sessionHistory: [] }); });
+      withDog(state, mochi.id, (s) => { s.trainingCommands.push({ id: "c3", name: "Sit", sessionHistory: [] }); });
+      assert(state.trainingCommands.map(c => c.id).join() === "c1,c2,c3", "commands keep their place");
+
+      state.settings.reminders = { ...state.settings.reminders, meals: true, attempts: true };
+      const due = householdReminders(state, water.at + 81 * 60 * 1000);
+      assert(due.some(r => r.kind === "attempt" && r.dogId === mochi.id && r.title.indexOf("Mochi: ") === 0), "reminders name the dog");
+
+      withDog(state, mochi.id, (s) => { const [p] = applyQuickLog(s, ["pee"], now + 60000); trashEvent(s, p.id, now); });
+      withDog(state, DEFAULT_DOG_ID, (s) => { const [p] = applyQuickLog(s, ["poop"], now); trashEvent(s, p.id, now); });
+      const before = JSON.parse(JSON.stringify(state));
+      assert(removeDog(state, mochi.id) && state.dogs.length === 1 && state.events.map(e => e.id).join() === "e1" && !state.outAttempts.length, "deleting a profile deletes its records");
+      assert(state.trash.events.length === 1 && state.trash.events[0].dogId === DEFAULT_DOG_ID, "…including its trash, but not the other dog's");
+      const ops = diffForCloud(before, state).map(o => o.kind);
+      assert(ops[ops.length - 1] === "deleteDog" && ops.indexOf("deleteEvent") < ops.indexOf("deleteDog"), "the profile goes after its records");
+      assert(!removeDog(state, DEFAULT_DOG_ID), "the last dog stays");
+    });
+
+    run("Test 34 — caregiver attribution", () => {
+      const before = defaultState();
+      before.events.push({ id: "e-old", type: "pee", at: now - 3600000 });
+      before.settings.cloud = { ...before.settings.cloud, userId: "u-me" };
+      before.members = [{ userId: "u-me", displayName: "Sam", role: "owner" }, { userId: "u-kim", displayName: "Kim", role: "caregiver" }];
+      const state = JSON.parse(JSON.stringify(before));
+      const water = { id: "w-1", type: "water", at: now };
+      state.events.push(water);
+      ensurePeeAttemptAfterWater(state, water);
+      state.events[0].note = "edited";
+      stampCloudOps(diffForCloud(before, state), now, "u-me");
+      assert(water.loggedBy === "u-me" && state.outAttempts[0].loggedBy === "u-me", "new logs and their attempts record who logged them");
+      assert(!state.events[0].loggedBy, "edits don't claim someone else's log");
+      const fresh = { id: "e-kim", type: "poop", at: now, loggedBy: "u-kim" };
+      stampCloudOps([{ kind: "insertEvent", payload: fresh }], now, "u-me");
+      assert(fresh.loggedBy === "u-kim", "a log synced from another phone keeps its author");
+      assert(eventFromRow({ id: "r", type: "pee", at: now, logged_by: "u-kim" }).loggedBy === "u-kim" && !("loggedBy" in eventFromRow({ id: "r", type: "pee", at: now })), "rows carry logged_by when set");
+
+      assert(loggedByName(state, "u-me", "you") === "you" && loggedByName(state, "u-me") === "Sam" && loggedByName(state, "u-kim", "you") === "Kim", "names come from the member list");
+      assert(loggedByName(state, "u-gone") === "someone" && loggedByName(state, undefined) === "", "departed and unknown authors");
+
+      state.events.push(fresh);
+      const rows = exportRows(state, now - DAY_MS, now + DAY_MS, { includeAttempts: true }, now);
+      assert(formatRowLine(rows.find(r => r.kind === "poop")).endsWith(" · by Kim"), "text export names the caregiver");
+      const csv = buildExportCsv(rows).split("\n");
+      assert(csv[0].endsWith(",note,logged_by") && csv[1].endsWith(",") && csv.some(l => l.endsWith(",Sam")), "CSV gets a logged_by column once anything is attributed");
+      assert(normalizeState(JSON.parse(JSON.stringify(state)), now).state.members.length === 2, "the member list survives a reload");
+      const legacy = normalizeState({ settings: { cloud: { enabled: true, url: "https://x.supabase.co", anonKey: "k", familyId: "libby-family" } } }, now).state;
+      assert(cloudNeedsSignIn(legacy.settings) && !getSupabase(legacy.settings), "a phone that synced before sign-in pauses and asks to sign in");
+      assert(!cloudNeedsSignIn({ cloud: { ...legacy.settings.cloud, userId: "u-me" } }) && !cloudNeedsSignIn(defaultState().settings), "…and only then");
+    });
+
+    run("Test 35 — trash, restore and undo", () => {
+      let state = defaultState();
+      const water = { id: "w-t", type: "water", at: now - 10 * 60 * 1000 };
+      state.events.push(water, { id: "p-t", type: "pee", at: now - 60 * 60 * 1000 });
+      ensurePeeAttemptAfterWater(state, water);
+      const attemptId = state.outAttempts[0].id;
+      const before = JSON.parse(JSON.stringify(state));
+
+      trashEvent(state, "w-t", now);
+      assert(!state.events.some(e => e.id === "w-t") && !state.outAttempts.length, "a trashed water and its attempt leave the live lists");
+      assert(state.trash.events[0].deletedAt === now && state.trash.outAttempts[0].id === attemptId, "…and wait in the trash");
+      const ops = diffForCloud(before, state).map(o => o.kind).join();
+      assert(ops === "updateEvent,updateAttempt", "the cloud keeps trashed rows with deleted_at: " + ops);
+
+      const undone = JSON.parse(JSON.stringify(state));
+      revertChanges(undone, before, state);
+      assert(undone.events.some(e => e.id === "w-t" && !e.deletedAt) && undone.outAttempts[0].id === attemptId && !undone.trash.events.length, "undo puts both back");
+
+      restoreFromTrash(state, "events", "w-t");
+      assert(state.events.some(e => e.id === "w-t") && state.outAttempts.map(a => a.id).join() === attemptId && !state.trash.outAttempts.length, "restoring brings the attempt back");
+      trashEvent(state, "w-t", now + 1);
+      state.trash.outAttempts = []; // purged on its own
+      restoreFromTrash(state, "events", "w-t");
+      assert(state.outAttempts.length === 1 && state.outAttempts[0].sourceEventId === "w-t" && attemptPending(state.outAttempts[0]), "restoring a water recreates its out-attempt");
+
+      trashAttempt(state, attemptId, now);
+      assert(!state.outAttempts.length && attemptOutcome(state.trash.outAttempts[0], now) === "deleted", "a trashed attempt reads as deleted");
+      ensurePeeAttemptAfterWater(state, state.events.find(e => e.id === "w-t"));
+      assert(!state.outAttempts.length, "re-applying the rules doesn't resurrect a trashed attempt");
+      trashEvent(state, "p-t", now);
+      purgeFromTrash(state, "events", "p-t");
+      assert(!state.trash.events.length && state.trash.outAttempts.length === 1, "delete forever");
+      const ordered = JSON.parse(JSON.stringify(state));
+      trashEvent(ordered, "w-t", now + 2); // its attempt already sits in the trash from before
+      const beforePurge = JSON.parse(JSON.stringify(ordered));
+      purgeFromTrash(ordered, "events", "w-t");
+      const purgeOps = diffForCloud(beforePurge, ordered).map(o => o.kind).join();
+      assert(!withTrash(ordered, "outAttempts").some(a => a.sourceEventId === "w-t") && purgeOps === "deleteAttempt,deleteEvent", "purging a log drops attempts trashed before it, ahead of the log: " + purgeOps);
+      const relinked = JSON.parse(JSON.stringify(state));
+      trashEvent(relinked, "w-t", now + 2);
+      restoreFromTrash(relinked, "outAttempts", attemptId);
+      purgeFromTrash(relinked, "events", "w-t");
+      assert(relinked.outAttempts[0].sourceEventId === null, "a live attempt is unlinked from a purged log");
+
+      const edited = JSON.parse(JSON.stringify(state));
+      edited.events[0].note = "oops";
+      const later = JSON.parse(JSON.stringify(edited));
+      later.events.push({ id: "e-new", type: "poop", at: now });
+      revertChanges(later, state, edited);
+      assert(!later.events[0].note && later.events.some(e => e.id === "e-new"), "undoing an edit leaves later logs alone");
+
+      withDog(state, DEFAULT_DOG_ID, (v) => trashEvent(v, "w-t", now));
+      assert(state.trash.events.map(e => e.id).join() === "w-t" && !state.events.length && dogState(state, DEFAULT_DOG_ID).trash.events.length === 1, "trash is written back through dog views");
+
+      const reloaded = normalizeState({ ...JSON.parse(JSON.stringify(state)), events: [{ id: "x", type: "pee", at: now, deletedAt: now }], trash: undefined }, now).state;
+      assert(!reloaded.events.length && reloaded.trash.events[0].id === "x", "deletedAt decides which list a record loads into");
+      const merged = mergeCloudState(state, { events: [eventFromRow({ id: "w-t", type: "water", at: water.at, updated_at: now + 5 })], outAttempts: [], trainingCommands: [] }, { upserts: new Set(), deletes: new Set() }, now);
+      assert(merged.events.some(e => e.id === "w-t") && !merged.trash.events.length, "a restore on the other phone brings it back here");
+    });
+
     console.log("✅ Rue Tracker dev tests passed");
   } catch (err) {
     console.error("❌ Rue Tracker dev test failed:", err);
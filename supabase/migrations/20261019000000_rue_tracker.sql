@@ -0,0 +1,192 @@
+-- Rue Tracker cloud schema. Applied by `supabase db reset` on a local stack, or paste it into the
+-- Supabase SQL editor (Settings → Cloud Sync shows the same file). Safe to re-run.
+-- Ids are TEXT so the app's own ids work as-is; timestamps are epoch milliseconds (bigint).
+
+-- ───────────── Synced records ─────────────
+create table if not exists events (id text primary key, family_id text not null, type text not null, at bigint not null, note text);
+create table if not exists out_attempts (id text primary key, family_id text not null, at bigint not null, reason text not null, source_event_id text references events(id), done boolean default false);
+create table if not exists training_commands (id text primary key, family_id text not null, name text not null, total_seconds integer default 0, learned boolean default false, order_index integer default 0, created_at timestamp with time zone default now());
+create table if not exists training_sessions (id text primary key, family_id text not null, command_id text references training_commands(id), started_at bigint, ended_at bigint, seconds integer, attempts integer, successes integer, success_rate double precision);
+alter table events add column if not exists updated_at bigint;
+alter table out_attempts add column if not exists updated_at bigint;
+alter table training_commands add column if not exists updated_at bigint;
+alter table training_sessions add column if not exists updated_at bigint;
+alter table training_commands add column if not exists order_index integer default 0;
+alter table training_commands add column if not exists archived boolean default false;
+create table if not exists active_sessions (id text primary key, family_id text not null, command_id text references training_commands(id) on delete cascade, started_at bigint, segments jsonb, updated_at bigint);
+alter table active_sessions add column if not exists reps jsonb;
+alter table training_sessions add column if not exists reps jsonb;
+alter table events add column if not exists details jsonb;
+alter table events add column if not exists end_at bigint;
+alter table out_attempts add column if not exists rule_id text;
+alter table out_attempts add column if not exists dismissed boolean default false;
+alter table events add column if not exists deleted_at bigint;
+alter table out_attempts add column if not exists deleted_at bigint;
+-- Deleting a log forever unlinks any attempt it caused rather than failing
+alter table out_attempts drop constraint if exists out_attempts_source_event_id_fkey;
+alter table out_attempts add constraint out_attempts_source_event_id_fkey foreign key (source_event_id) references events(id) on delete set null;
+-- Every household's first dog is "dog-default", so a dog id is only unique within its family and
+-- records point at their dog by (family_id, dog_id)
+create table if not exists dogs (id text not null, family_id text not null, name text not null, emoji text, photo text, birthdate text, updated_at bigint, primary key (family_id, id));
+alter table events add column if not exists dog_id text;
+alter table out_attempts add column if not exists dog_id text;
+alter table training_commands add column if not exists dog_id text;
+alter table training_sessions add column if not exists dog_id text;
+alter table active_sessions add column if not exists dog_id text;
+do $$
+declare t text;
+begin
+  -- databases set up while dogs.id was a global key: drop the old single-column references first
+  foreach t in array array['events', 'out_attempts', 'training_commands', 'training_sessions', 'active_sessions'] loop
+    execute format('alter table %I drop constraint if exists %I', t, t || '_dog_id_fkey');
+    execute format('alter table %I drop constraint if exists %I', t, t || '_dog_fkey');
+  end loop;
+  alter table dogs drop constraint if exists dogs_pkey;
+  alter table dogs add constraint dogs_pkey primary key (family_id, id);
+  foreach t in array array['events', 'out_attempts', 'training_commands', 'training_sessions', 'active_sessions'] loop
+    execute format('alter table %I add constraint %I foreign key (family_id, dog_id) references dogs (family_id, id) on delete cascade', t, t || '_dog_fkey');
+  end loop;
+end $$;
+
+-- ───────────── Families and sign-in ─────────────
+-- Members are Supabase Auth users; joining takes a one-time invite code
+create table if not exists families (id text primary key, name text not null, created_by uuid references auth.users(id) on delete set null, created_at timestamp with time zone default now());
+create table if not exists family_members (family_id text not null references families(id) on delete cascade, user_id uuid not null references auth.users(id) on delete cascade, display_name text not null, role text not null default 'caregiver', joined_at timestamp with time zone default now(), primary key (family_id, user_id));
+create table if not exists family_invites (code text primary key, family_id text not null references families(id) on delete cascade, created_by uuid references auth.users(id) on delete set null, expires_at timestamp with time zone not null, used_by uuid references auth.users(id) on delete set null, used_at timestamp with time zone);
+alter table events add column if not exists logged_by uuid references auth.users(id) on delete set null;
+alter table out_attempts add column if not exists logged_by uuid references auth.users(id) on delete set null;
+alter table training_sessions add column if not exists logged_by uuid references auth.users(id) on delete set null;
+
+create or replace function is_family_member(fid text) returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (select 1 from family_members where family_id = fid and user_id = auth.uid())
+$$;
+
+-- Claiming a Family ID that synced before sign-in. Knowing the ID proves nothing (that was the old
+-- hole), so the project owner issues a one-time claim code from the SQL editor:
+--   select issue_family_claim('your-family-id');
+-- and enters it in the app with the ID. Until someone claims it, nobody can read that family's rows.
+create table if not exists family_claims (family_id text primary key, code text not null, created_at timestamp with time zone default now());
+alter table family_claims enable row level security; -- no policies: only the functions here touch it
+
+create or replace function issue_family_claim(fid text) returns text
+language plpgsql security definer set search_path = public as $$
+declare c text := upper(substr(md5(gen_random_uuid()::text), 1, 10));
+begin
+  if exists (select 1 from families where id = fid) then raise exception 'That family has already been claimed'; end if;
+  insert into family_claims (family_id, code) values (fid, c) on conflict (family_id) do update set code = excluded.code, created_at = now();
+  return c;
+end $$;
+revoke execute on function issue_family_claim(text) from public, anon, authenticated;
+
+-- The caller becomes the owner of a new family, or of claim_id when claim_code matches its claim
+drop function if exists create_family(text, text, text);
+create or replace function create_family(family_name text, member_name text, claim_id text default null, claim_code text default null) returns text
+language plpgsql security definer set search_path = public as $$
+declare fid text := coalesce(nullif(trim(claim_id), ''), gen_random_uuid()::text);
+begin
+  if auth.uid() is null then raise exception 'Sign in first'; end if;
+  if exists (select 1 from families where id = fid) then raise exception 'That family already exists — ask a member for an invite code'; end if;
+  if nullif(trim(claim_id), '') is not null then
+    delete from family_claims where family_id = fid and code = upper(trim(coalesce(claim_code, '')));
+    if not found then raise exception 'Claiming an existing Family ID needs its claim code — run select issue_family_claim(''%'') in the SQL editor', fid; end if;
+  end if;
+  insert into families (id, name, created_by) values (fid, family_name, auth.uid());
+  insert into family_members (family_id, user_id, display_name, role) values (fid, auth.uid(), member_name, 'owner');
+  return fid;
+end $$;
+
+create or replace function create_invite(fid text) returns text
+language plpgsql security definer set search_path = public as $$
+declare c text := upper(substr(md5(gen_random_uuid()::text), 1, 8));
+begin
+  if not is_family_member(fid) then raise exception 'Not a member of this family'; end if;
+  insert into family_invites (code, family_id, created_by, expires_at) values (c, fid, auth.uid(), now() + interval '7 days');
+  return c;
+end $$;
+
+create or replace function join_family(invite_code text, member_name text) returns text
+language plpgsql security definer set search_path = public as $$
+declare inv family_invites;
+begin
+  if auth.uid() is null then raise exception 'Sign in first'; end if;
+  select * into inv from family_invites where code = upper(trim(invite_code)) and used_by is null and expires_at > now() for update;
+  if not found then raise exception 'That invite code is invalid, used or expired'; end if;
+  insert into family_members (family_id, user_id, display_name) values (inv.family_id, auth.uid(), member_name)
+    on conflict (family_id, user_id) do update set display_name = excluded.display_name;
+  update family_invites set used_by = auth.uid(), used_at = now() where code = inv.code;
+  return inv.family_id;
+end $$;
+
+-- ───────────── Attribution ─────────────
+-- logged_by is whoever inserted the row and stays that way. An insert may only name the caller, or
+-- nobody for logs made before sign-in; an update, including an upsert that lands on an existing
+-- row, keeps the first author whatever the client sends.
+create or replace function keep_logged_by() returns trigger
+language plpgsql set search_path = public as $$
+begin
+  if tg_op = 'UPDATE' then
+    new.logged_by := old.logged_by;
+  elsif new.logged_by is not null and new.logged_by is distinct from auth.uid() then
+    raise exception 'logged_by must be the signed-in user';
+  end if;
+  return new;
+end $$;
+do $$
+declare t text;
+begin
+  foreach t in array array['events', 'out_attempts', 'training_sessions'] loop
+    execute format('alter table %I alter column logged_by set default auth.uid()', t);
+    execute format('drop trigger if exists keep_logged_by on %I', t);
+    execute format('create trigger keep_logged_by before insert or update on %I for each row execute function keep_logged_by()', t);
+  end loop;
+end $$;
+
+-- ───────────── Row level security ─────────────
+-- Only signed-in members of a family see or change its rows
+alter table families enable row level security;
+alter table family_members enable row level security;
+alter table family_invites enable row level security;
+drop policy if exists member_read_families on families;
+create policy member_read_families on families for select using (is_family_member(id));
+drop policy if exists member_read_members on family_members;
+create policy member_read_members on family_members for select using (user_id = auth.uid() or is_family_member(family_id));
+-- Members may rename themselves, nothing more: family_id and role only change through the functions above,
+-- or anyone could move their row into another family (or make themselves owner) without an invite
+drop policy if exists member_rename_self on family_members;
+create policy member_rename_self on family_members for update using (user_id = auth.uid()) with check (user_id = auth.uid());
+revoke update on family_members from anon, authenticated;
+grant update (display_name) on family_members to authenticated;
+drop policy if exists member_leave on family_members;
+create policy member_leave on family_members for delete using (user_id = auth.uid());
+
+-- The family_* policies are from the setup that compared against a pasted Family ID
+do $$
+declare t text; legacy text; p text;
+begin
+  for t, legacy in select * from (values ('events', 'events'), ('out_attempts', 'out'), ('training_commands', 'cmd'), ('training_sessions', 'sess'), ('active_sessions', 'active'), ('dogs', 'dogs')) as x(t, legacy) loop
+    execute format('alter table %I enable row level security', t);
+    foreach p in array array['read', 'write', 'update', 'delete'] loop
+      execute format('drop policy if exists %I on %I', 'family_' || p || '_' || legacy, t);
+    end loop;
+    execute format('drop policy if exists %I on %I', 'member_all_' || t, t);
+    execute format('create policy %I on %I for all using (is_family_member(family_id)) with check (is_family_member(family_id))', 'member_all_' || t, t);
+  end loop;
+end $$;
+
+-- ───────────── Realtime ─────────────
+-- The app subscribes to row changes on every synced table. Deletes can't be filtered by family, so
+-- they carry the whole old row (as much of it as RLS lets through) for the app to match locally.
+do $$
+declare t text;
+begin
+  foreach t in array array['dogs', 'events', 'out_attempts', 'training_commands', 'training_sessions', 'active_sessions'] loop
+    execute format('alter table %I replica identity full', t);
+  end loop;
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then return; end if;
+  foreach t in array array['dogs', 'events', 'out_attempts', 'training_commands', 'training_sessions', 'active_sessions'] loop
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t) then
+      execute format('alter publication supabase_realtime add table %I', t);
+    end if;
+  end loop;
+end $$;
@@ -1,7 +1,37 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import fs from "node:fs";
+import path from "node:path";
+
+// Stamp public/sw.js with this build's id and file list. A changed sw.js is what
+// makes browsers install the new worker (and the app show its update prompt);
+// the list is what it precaches so the app loads with no signal.
+function serviceWorkerPrecache() {
+  let outDir = "dist";
+  return {
+    name: "rue-sw-precache",
+    apply: "build",
+    configResolved(config) { outDir = path.resolve(config.root, config.build.outDir); },
+    closeBundle() {
+      const swPath = path.join(outDir, "sw.js");
+      if (!fs.existsSync(swPath)) return;
+      const files = [];
+      const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach((d) => {
+        const p = path.join(dir, d.name);
+        if (d.isDirectory()) walk(p);
+        else if (d.name !== "sw.js" && !d.name.endsWith(".map")) files.push("/" + path.relative(outDir, p).split(path.sep).join("/"));
+      });
+      walk(outDir);
+      const buildId = Date.now().toString(36);
+      const src = fs.readFileSync(swPath, "utf8")
+        .replace('"__RUE_BUILD_ID__"', JSON.stringify(buildId))
+        .replace("[/* __RUE_PRECACHE__ */]", JSON.stringify(["/"].concat(files.sort())));
+      fs.writeFileSync(swPath, src);
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPrecache()],
   server: { port: 5173 }
 });